@@ -0,0 +1,77 @@
+const logger = require('../util/logger');
+const { toStreamEntry, toVariantEntry } = require('./segment_entries');
+const { sendError } = require('./errors');
+const { acquireManifest, toBaseUrl } = require('./manifest_cache');
+
+// Times are epoch seconds for live manifests and presentation seconds for VOD,
+// like the segment times of /parsempd.
+const toTimingEntry = (timeline) => {
+    const presentationStartTime = timeline.getPresentationStartTime();
+    const toTime = (seconds) => presentationStartTime + seconds;
+    return {
+        presentationStartTime,
+        duration: isFinite(timeline.getDuration()) ? timeline.getDuration() : null,
+        maxSegmentDuration: timeline.getMaxSegmentDuration(),
+        timeShiftBufferDepth: isFinite(timeline.getSegmentAvailabilityDuration()) ?
+            timeline.getSegmentAvailabilityDuration() : null,
+        presentationDelay: timeline.getDelay(),
+        availabilityStart: toTime(timeline.getSegmentAvailabilityStart()),
+        availabilityEnd: toTime(timeline.getSegmentAvailabilityEnd()),
+        seekRangeStart: toTime(timeline.getSeekRangeStart()),
+        seekRangeEnd: toTime(timeline.getSeekRangeEnd())
+    };
+};
+
+const describeManifest = async (req, res) => {
+    let lease = null;
+    try {
+        const {
+            url: mpdUrl,
+            headers: requestHeader,
+            proxy: proxy,
+            noCache
+        } = req.body;
+
+        if (!mpdUrl) {
+            return res.status(400).json({ error: "url is required" });
+        }
+
+        const baseUrl = toBaseUrl(mpdUrl);
+        if (!baseUrl) {
+            return res.status(400).json({ error: "url must be an absolute http(s) URL" });
+        }
+
+        logger.info(`Describing mpd ${mpdUrl}`);
+        lease = await acquireManifest(res, mpdUrl, baseUrl, requestHeader, proxy, { noCache });
+        const manifest = lease.manifest;
+
+        if (!manifest) {
+            return res.status(502).json({ error: "Unable to load the manifest" });
+        }
+
+        const timeline = manifest.presentationTimeline;
+
+        const responseData = {
+            type: timeline.isLive() ? 'dynamic' : 'static',
+            timing: toTimingEntry(timeline),
+            serviceDescription: manifest.serviceDescription,
+            variants: manifest.variants.map(toVariantEntry),
+            textStreams: manifest.textStreams.map(toStreamEntry),
+            imageStreams: manifest.imageStreams.map(toStreamEntry)
+        };
+
+        logger.info(`Described ${responseData.variants.length} variants, ` +
+            `${responseData.textStreams.length} text and ` +
+            `${responseData.imageStreams.length} image streams`);
+
+        res.json(responseData);
+    } catch (err) {
+        sendError(res, err);
+    } finally {
+        if (lease) {
+            lease.release();
+        }
+    }
+};
+
+module.exports = { describeManifest };
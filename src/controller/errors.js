@@ -0,0 +1,44 @@
+const ParserError = require('../util/parser_error');
+const logger = require('../util/logger');
+
+// Upstream statuses passed on as they are, since they tell the caller what to
+// fix; anything else the upstream answers is a bad gateway.
+const FORWARDED_STATUSES = [403, 404];
+
+const toHttpStatus = (err) => {
+    if (err.category === ParserError.Category.NETWORK) {
+        if (err.code === ParserError.Code.BAD_HTTP_STATUS &&
+            FORWARDED_STATUSES.includes(err.data[1])) {
+            return err.data[1];
+        }
+        return err.code === ParserError.Code.TIMEOUT ? 504 : 502;
+    }
+    if (err.category === ParserError.Category.REQUEST) {
+        return err.code === ParserError.Code.TOO_MANY_SESSIONS ? 429 : 400;
+    }
+    // MANIFEST, MEDIA and TEXT errors are about what the upstream served.
+    return 422;
+};
+
+const toErrorEntry = (err) => {
+    return {
+        error: err.message,
+        category: ParserError.getCategoryName(err.category),
+        code: err.code,
+        severity: ParserError.getSeverityName(err.severity),
+        data: err.data
+    };
+};
+
+// Answers with the status and JSON body of a ParserError, or a generic 500
+// for anything else.
+const sendError = (res, err) => {
+    if (err instanceof ParserError) {
+        logger.warn(`Answering ${err.message} (${err.code}): ${JSON.stringify(err.data.slice(0, 2))}`);
+        return res.status(toHttpStatus(err)).json(toErrorEntry(err));
+    }
+    logger.error(`Answering 500: ${err.stack || err}`);
+    res.status(500).json({ error: "Internal Server Error" });
+};
+
+module.exports = { toHttpStatus, toErrorEntry, sendError };
@@ -0,0 +1,68 @@
+const HlsWriter = require('../hls/hls_writer');
+const logger = require('../util/logger');
+const { getSessionManager } = require('./sessions');
+const { sendError } = require('./errors');
+
+const HLS_CONTENT_TYPE = 'application/vnd.apple.mpegurl';
+
+// The audio and video streams of the session's variants, and its text
+// streams, by stream ID.
+const getStreams = (manifest) => {
+    const streams = new Map();
+    for (const variant of manifest.variants) {
+        for (const stream of [variant.video, variant.audio]) {
+            if (stream) {
+                streams.set(String(stream.id), stream);
+            }
+        }
+    }
+    for (const stream of manifest.textStreams || []) {
+        streams.set(String(stream.id), stream);
+    }
+    return streams;
+};
+
+const getMultivariantPlaylist = async (req, res) => {
+    try {
+        const session = getSessionManager().get(req.params.session);
+        if (!session) {
+            return res.status(404).json({ error: "Session not found" });
+        }
+        await session.ready;
+
+        // Media playlists sit next to this one, so relative URIs are enough.
+        const playlist = HlsWriter.createMultivariantPlaylist(
+            session.parser.manifest_, stream => `${stream.id}.m3u8`);
+
+        res.type(HLS_CONTENT_TYPE).send(playlist);
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+const getMediaPlaylist = async (req, res) => {
+    try {
+        const session = getSessionManager().get(req.params.session);
+        if (!session) {
+            return res.status(404).json({ error: "Session not found" });
+        }
+        await session.ready;
+
+        const manifest = session.parser.manifest_;
+        const stream = getStreams(manifest).get(req.params.streamId);
+        if (!stream) {
+            return res.status(404).json({ error: "Stream not found" });
+        }
+
+        await stream.createSegmentIndex();
+        const playlist = HlsWriter.createMediaPlaylist(
+            stream, manifest.presentationTimeline, session.parser.getPeriods());
+
+        logger.debug(`Session ${session.id}: media playlist of stream ${stream.id}`);
+        res.type(HLS_CONTENT_TYPE).send(playlist);
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+module.exports = { getMultivariantPlaylist, getMediaPlaylist };
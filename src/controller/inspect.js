@@ -0,0 +1,110 @@
+const axios = require('axios');
+
+const NetworkingUtils = require('../util/networking_utils');
+const PlayerConfiguration = require('../util/player_configuration');
+const PlayReady = require('../util/playready');
+const Pssh = require('../util/pssh');
+const logger = require('../util/logger');
+const { sendError } = require('./errors');
+
+// '9a04f079...' -> 'urn:uuid:9a04f079-9840-...', the form keySystemsByURI uses.
+const toSchemeIdUri = (systemId) => {
+    const uuid = systemId.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+    return `urn:uuid:${uuid}`;
+};
+
+const toBoxEntry = (box, keySystemsByURI) => {
+    const schemeIdUri = toSchemeIdUri(box.systemId);
+    const entry = {
+        systemId: box.systemId,
+        schemeIdUri,
+        keySystem: keySystemsByURI[schemeIdUri] || null,
+        version: box.version,
+        keyIds: box.keyIds,
+        data: Buffer.from(box.data).toString('base64')
+    };
+    if (box.systemId === PlayReady.SYSTEM_ID) {
+        entry.playready = PlayReady.parseProHeader(box.data);
+    }
+    return entry;
+};
+
+const fetchInitSegment = async (initUrl, requestHeader, proxy, range) => {
+    const requestOptions = NetworkingUtils.createRequestOptions(requestHeader, proxy);
+    requestOptions.responseType = 'arraybuffer';
+    requestOptions.headers = Object.assign({}, requestOptions.headers);
+    if (range) {
+        requestOptions.headers['Range'] = `bytes=${range}`;
+    }
+    const response = await axios.get(initUrl, requestOptions);
+    return new Uint8Array(response.data);
+};
+
+// Takes either |data|, a base64 pssh box (or init segment, or PlayReady
+// Object), or |url|, an init segment to fetch with the given headers, proxy
+// and byte range.
+const inspectPssh = async (req, res) => {
+    try {
+        const {
+            data: base64Data,
+            url: initUrl,
+            headers: requestHeader,
+            proxy: proxy,
+            range: range
+        } = req.body;
+
+        if (!base64Data && !initUrl) {
+            return res.status(400).json({ error: "data or url is required" });
+        }
+
+        let data;
+        if (base64Data) {
+            data = new Uint8Array(Buffer.from(base64Data, 'base64'));
+            if (!data.length) {
+                return res.status(400).json({ error: "data must be base64" });
+            }
+        } else {
+            try {
+                data = await fetchInitSegment(initUrl, requestHeader, proxy, range);
+            } catch (err) {
+                logger.warn(`Error fetching init segment ${initUrl}: ${err.message}`);
+                return sendError(res, NetworkingUtils.createHttpError(err, initUrl));
+            }
+        }
+
+        const keySystemsByURI =
+            PlayerConfiguration.createDefault().manifest.dash.keySystemsByURI;
+
+        let pssh;
+        try {
+            pssh = new Pssh(data);
+        } catch (err) {
+            logger.warn(`Unable to parse pssh boxes: ${err.message}`);
+            pssh = null;
+        }
+
+        const responseData = {
+            boxes: pssh ? pssh.boxes.map(box => toBoxEntry(box, keySystemsByURI)) : [],
+            keyIds: pssh ? Array.from(new Set(pssh.cencKeyIds)) : []
+        };
+
+        // mspr:pro elements carry a PlayReady Object without the pssh box.
+        if (!responseData.boxes.length && base64Data) {
+            try {
+                responseData.playready = PlayReady.parseProHeader(data) || undefined;
+            } catch (err) {
+                logger.debug(`Data is not a PlayReady Object: ${err.message}`);
+            }
+        }
+
+        if (!responseData.boxes.length && !responseData.playready) {
+            return res.status(422).json({ error: "No pssh box found" });
+        }
+
+        res.json(responseData);
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+module.exports = { inspectPssh };
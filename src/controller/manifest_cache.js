@@ -0,0 +1,54 @@
+const url = require('url');
+
+const ManifestCache = require('../core/manifest_cache');
+
+const DEFAULT_CACHE_MAX_AGE = 30;
+const DEFAULT_CACHE_TTL = 300;
+const DEFAULT_CACHE_MAX_ENTRIES = 50;
+
+let manifestCache = null;
+
+// Created on first use, so the limits can come from .env, which is loaded
+// after the routes are required.
+const getManifestCache = () => {
+    if (!manifestCache) {
+        manifestCache = new ManifestCache(
+            Number(process.env.MANIFEST_CACHE_MAX_AGE) || DEFAULT_CACHE_MAX_AGE,
+            Number(process.env.MANIFEST_CACHE_TTL) || DEFAULT_CACHE_TTL,
+            Number(process.env.MANIFEST_CACHE_MAX_ENTRIES) || DEFAULT_CACHE_MAX_ENTRIES);
+    }
+    return manifestCache;
+};
+
+// Acquires the manifest for a request's url, headers, proxy, noCache and
+// lowLatency, and tells the client how it was served.
+const acquireManifest = async (res, mpdUrl, baseUrl, requestHeader, proxy, options) => {
+    const lease = await getManifestCache().acquire(
+        mpdUrl, baseUrl, requestHeader, proxy, {
+            noCache: !!options.noCache,
+            lowLatency: !!options.lowLatency
+        });
+    res.set('X-Manifest-Cache', lease.status);
+    return lease;
+};
+
+// The URL a request's manifest url is resolved against, or null if it is not
+// an absolute http(s) URL.
+const toBaseUrl = (mpdUrl) => {
+    let parsedUrl;
+    try {
+        parsedUrl = new url.URL(mpdUrl);
+    } catch (err) {
+        return null;
+    }
+    if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+        return null;
+    }
+    return `${parsedUrl.protocol}//${parsedUrl.host}${parsedUrl.pathname}`;
+};
+
+const getCacheStats = (req, res) => {
+    res.json(getManifestCache().getStats());
+};
+
+module.exports = { getManifestCache, acquireManifest, toBaseUrl, getCacheStats };
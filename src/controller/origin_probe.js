@@ -0,0 +1,74 @@
+const { URL } = require('url');
+
+const NetworkingUtils = require('../util/networking_utils');
+const logger = require('../util/logger');
+const { toErrorEntry } = require('./errors');
+
+const DEFAULT_PROBE_TIMEOUT = 5;
+
+// The directory of a segment URI, which stands for the BaseURL it was resolved
+// against: BaseURLs often share a host and only differ by their path.
+const toPrefix = (uri) => {
+    try {
+        const url = new URL(uri);
+        return url.origin + url.pathname.slice(0, url.pathname.lastIndexOf('/') + 1);
+    } catch (err) {
+        return uri;
+    }
+};
+
+// Probes every BaseURL the entries' candidate URIs point to, and drops the
+// candidates of those which do not answer, so downloaders only fail over to
+// live ones.  Each BaseURL, told apart by the directory of its URIs, is
+// probed once, with the first segment it serves which is already complete;
+// if it answers for that one, it is assumed to serve the others.  Entries
+// left without a candidate keep theirs.
+//
+// Returns what each BaseURL answered, for the response.
+const dropDeadOrigins = async (entryLists, requestHeader, proxy) => {
+    const probeUris = new Map();
+    for (const entries of entryLists) {
+        for (const entry of entries) {
+            if (entry.inProgress) {
+                continue;
+            }
+            for (const uri of entry.uris || []) {
+                const prefix = toPrefix(uri);
+                if (!probeUris.has(prefix)) {
+                    probeUris.set(prefix, uri);
+                }
+            }
+        }
+    }
+
+    const timeout = Number(process.env.ORIGIN_PROBE_TIMEOUT) || DEFAULT_PROBE_TIMEOUT;
+    const origins = await Promise.all(Array.from(probeUris, async ([prefix, uri]) => {
+        const error = await NetworkingUtils.probe(uri, requestHeader, proxy, timeout);
+        if (error) {
+            logger.warn(`BaseURL ${prefix} failed the probe of ${uri}: ${error.message}`);
+        }
+        return {
+            prefix,
+            uri,
+            alive: !error,
+            error: error ? toErrorEntry(error) : undefined
+        };
+    }));
+
+    const dead = new Set(origins.filter(origin => !origin.alive).map(origin => origin.prefix));
+    if (dead.size) {
+        for (const entries of entryLists) {
+            for (const entry of entries) {
+                const uris = (entry.uris || []).filter(uri => !dead.has(toPrefix(uri)));
+                if (uris.length) {
+                    entry.uris = uris;
+                    entry.uri = uris[0];
+                }
+            }
+        }
+    }
+
+    return origins;
+};
+
+module.exports = { dropDeadOrigins };
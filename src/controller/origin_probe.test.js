@@ -0,0 +1,56 @@
+const assert = require('assert');
+const http = require('http');
+const {describe, it, before, after} = require('node:test');
+
+const {dropDeadOrigins} = require('./origin_probe');
+
+describe('dropDeadOrigins', () => {
+  /** @type {http.Server} */
+  let server;
+  let origin;
+
+  before(async () => {
+    // Only /live/ and /other/ serve segments.
+    server = http.createServer((req, res) => {
+      res.writeHead(/^\/(live|other)\//.test(req.url) ? 200 : 404);
+      res.end();
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  it('drops the BaseURLs which fail, not their whole host', async () => {
+    const entry = (name) => {
+      const uris = ['dead', 'live', 'other'].map((directory) => {
+        return `${origin}/${directory}/${name}`;
+      });
+      return {type: 'media', uri: uris[0], uris};
+    };
+    const entries = [entry('v_1.m4s'), entry('v_2.m4s')];
+
+    const probed = await dropDeadOrigins([entries], {}, null);
+
+    assert.deepStrictEqual(
+        probed.map((result) => [result.prefix, result.alive]), [
+          [`${origin}/dead/`, false],
+          [`${origin}/live/`, true],
+          [`${origin}/other/`, true],
+        ]);
+    assert.deepStrictEqual(entries[1].uris,
+        [`${origin}/live/v_2.m4s`, `${origin}/other/v_2.m4s`]);
+    assert.strictEqual(entries[1].uri, `${origin}/live/v_2.m4s`);
+  });
+
+  it('keeps the candidates of entries which would be left without', async () => {
+    const uri = `${origin}/dead/v_1.m4s`;
+    const entries = [{type: 'media', uri, uris: [uri]}];
+
+    await dropDeadOrigins([entries], {}, null);
+
+    assert.deepStrictEqual(entries[0].uris, [uri]);
+  });
+});
@@ -1,126 +1,344 @@
-const url = require('url');
 const path = require('path');
 
 const PlayerConfiguration = require('../util/player_configuration');
-const DashMpdParser = require('../dash_parser');
+const StreamUtils = require('../util/stream_utils');
 const logger = require('../util/logger');
+const {
+    toPresentationTime, toSegmentEntries, getAvailability, toEventEntry, toAdBreaks, toDrmEntry,
+    toStreamEntry
+} = require('./segment_entries');
+const { sendError } = require('./errors');
+const { acquireManifest, toBaseUrl } = require('./manifest_cache');
+const { dropDeadOrigins } = require('./origin_probe');
 
-const toEpochTime = (presentationStartTime, seconds) => {
-    return Math.floor(presentationStartTime + seconds);
+// Anything but representation_id makes the selector a set of criteria.
+const hasCriteria = (selector) => {
+    return Object.keys(selector).some(key => key !== 'representation_id');
 };
 
+const toCriteria = (selector) => {
+    return {
+        representationId: selector.representation_id,
+        preferredLanguage: selector.preferredLanguage,
+        role: selector.role,
+        channels: selector.channels != null ? Number(selector.channels) : undefined,
+        codecs: selector.codecs,
+        minBandwidth: selector.minBandwidth != null ? Number(selector.minBandwidth) : undefined,
+        maxBandwidth: selector.maxBandwidth != null ? Number(selector.maxBandwidth) : undefined
+    };
+};
+
+// Drops the partial segments outside [start, end), keeping those from the
+// independent one at or before |start|.
+const trimPartials = (entries, start, end) => {
+    let first = entries.findIndex(entry =>
+        entry.type === "media" && (entry.part == null || entry.stop > start));
+    while (first > 0 && entries[first].part != null && !entries[first].independent &&
+        entries[first - 1].part != null && entries[first - 1].segment === entries[first].segment) {
+        first--;
+    }
+    return entries.filter((entry, i) => entry.part == null || (i >= first && entry.start < end));
+};
+
+// Lists exactly the segments covering [start, end), each run of them preceded
+// by its initialization segment.  The first and last entries say how much of
+// them lies outside the range.  With the "partial" |granularity|, so do the
+// partial segments at either end, the first of them being independent so
+// decoding can start there.
+const listRange = (segmentIndex, start, end, presentationStartTime, periods, availability,
+    granularity) => {
+    let position = segmentIndex.find(start);
+    if (position == null) {
+        return [];
+    }
+
+    // Walked by position: the iterators of the index step through partial
+    // segments instead of the segments made of them.
+    const references = [];
+    for (let reference = segmentIndex.get(position); reference && reference.startTime < end;
+        reference = segmentIndex.get(++position)) {
+        if (reference.endTime > start) {
+            references.push(reference);
+        }
+    }
+
+    let entries = toSegmentEntries(references, presentationStartTime, periods, availability,
+        granularity);
+    if (granularity === 'partial') {
+        entries = trimPartials(entries, presentationStartTime + start,
+            presentationStartTime + end);
+    }
+    const mediaEntries = entries.filter(entry => entry.type === "media");
+    if (mediaEntries.length) {
+        const firstEntry = mediaEntries[0];
+        const lastEntry = mediaEntries[mediaEntries.length - 1];
+        const first = firstEntry.part != null ?
+            firstEntry.start - presentationStartTime : references[0].startTime;
+        const last = lastEntry.part != null ?
+            lastEntry.stop - presentationStartTime : references[references.length - 1].endTime;
+        if (start > first) {
+            firstEntry.trimStart = start - first;
+        }
+        if (isFinite(end) && last > end) {
+            lastEntry.trimEnd = last - end;
+        }
+    }
+    return entries;
+};
+
+// The last |count| segment references across every Period of the stream.
+const latestReferences = (segmentIndex, count) => {
+    const references = [];
+    // Any time before the first reference finds it, even one covering no time.
+    let position = segmentIndex.find(-Infinity);
+    if (position != null) {
+        for (let reference = segmentIndex.get(position); reference;
+            reference = segmentIndex.get(++position)) {
+            references.push(reference);
+        }
+    }
+    return references.slice(-count);
+};
+
+// Lists the last |count| segments across every Period of the stream.
+const listLatest = (segmentIndex, count, presentationStartTime, periods, availability,
+    granularity) => {
+    return toSegmentEntries(latestReferences(segmentIndex, count), presentationStartTime, periods,
+        availability, granularity);
+};
+
+// What a low-latency client needs to stay close to the live edge.
+const toLowLatencyEntry = (manifest, video, audio) => {
+    const serviceDescription = manifest.serviceDescription || {};
+    return {
+        targetLatency: serviceDescription.targetLatency,
+        minLatency: serviceDescription.minLatency,
+        maxLatency: serviceDescription.maxLatency,
+        minPlaybackRate: serviceDescription.minPlaybackRate,
+        maxPlaybackRate: serviceDescription.maxPlaybackRate,
+        presentationDelay: manifest.presentationTimeline.getDelay(),
+        video: {
+            availabilityTimeOffset: video.availabilityTimeOffset || 0,
+            availabilityTimeComplete: video.availabilityTimeComplete !== false
+        },
+        audio: {
+            availabilityTimeOffset: audio.availabilityTimeOffset || 0,
+            availabilityTimeComplete: audio.availabilityTimeComplete !== false
+        }
+    };
+};
 
 const ParserBrasiltecpar = async (req, res) => {
+    let lease = null;
     try {
         const {
             url: mpdUrl,
-            video: { representation_id: videoRepId },
-            audio: { representation_id: audioRepId },
+            video: videoSelector = {},
+            audio: audioSelector = {},
+            text: textSelector,
             headers: requestHeader,
             numSegments,
             bufferLength: timeDuration,
-            proxy: proxy
+            startTime,
+            endTime,
+            proxy: proxy,
+            noCache,
+            lowLatency,
+            probe,
+            granularity = 'segment'
         } = req.body;
 
-        const parsedUrl = new url.URL(mpdUrl);
-        const baseUrl = `${parsedUrl.protocol}//${parsedUrl.hostname}${parsedUrl.pathname}`;
+        if (!mpdUrl) {
+            return res.status(400).json({ error: "url is required" });
+        }
+        const baseUrl = toBaseUrl(mpdUrl);
+        if (!baseUrl) {
+            return res.status(400).json({ error: "url must be an absolute http(s) URL" });
+        }
+        if (granularity !== 'segment' && granularity !== 'partial') {
+            return res.status(400).json({ error: 'granularity must be "segment" or "partial"' });
+        }
 
-        const config = PlayerConfiguration.createDefault().manifest;
-        const mpdParser = new DashMpdParser();
-        mpdParser.configure(config);
+        const videoRepId = videoSelector.representation_id;
+        const audioRepId = audioSelector.representation_id;
 
-        logger.info(`Parsing mpd ${mpdUrl} with rep id ${videoRepId}, ${audioRepId}`);
-        await mpdParser.start(mpdUrl, baseUrl, requestHeader, proxy);
+        logger.info(`Parsing mpd ${mpdUrl} with video ${JSON.stringify(videoSelector)}, ` +
+            `audio ${JSON.stringify(audioSelector)}`);
+        lease = await acquireManifest(res, mpdUrl, baseUrl, requestHeader, proxy,
+            { noCache, lowLatency });
+
+        const parsedResult = lease.manifest;
+
+        if (!parsedResult) {
+            return res.json({});
+        }
 
-        const parsedResult = mpdParser.manifest_;
+        const timeline = parsedResult.presentationTimeline;
         const presentationStartTime = parsedResult.presentationTimeline.getPresentationStartTime();
         const timeShiftBufferDepth = parsedResult.presentationTimeline.segmentAvailabilityDuration_;
         const nSegments = Math.ceil(timeDuration/parsedResult.presentationTimeline.maxSegmentDuration_);
 
-        if (!parsedResult) {
-            return res.json({});
+        const isRange = startTime != null || endTime != null;
+        const rangeStart = startTime != null ?
+            toPresentationTime(startTime, presentationStartTime) : 0;
+        const rangeEnd = endTime != null ?
+            toPresentationTime(endTime, presentationStartTime) : Infinity;
+        if (isRange && (isNaN(rangeStart) || isNaN(rangeEnd) || rangeEnd <= rangeStart)) {
+            return res.status(400).json({
+                error: "startTime and endTime must be seconds or ISO dates, with startTime first"
+            });
         }
 
-        const targetStream = parsedResult.variants.find(variant => variant.audio.originalId === audioRepId && variant.video.originalId === videoRepId);
+        let targetStream;
+        let reasons;
+        if (!hasCriteria(videoSelector) && !hasCriteria(audioSelector)) {
+            targetStream = parsedResult.variants.find(variant =>
+                StreamUtils.hasRepresentation(variant.audio, audioRepId) &&
+                StreamUtils.hasRepresentation(variant.video, videoRepId));
 
-        if (!targetStream) {
-            return res.json({});
+            if (!targetStream) {
+                return res.json({});
+            }
+            reasons = ["representation IDs given"];
+        } else {
+            const restrictions = Object.assign(
+                {}, PlayerConfiguration.createDefault().abr.restrictions);
+            for (const key of Object.keys(restrictions)) {
+                if (videoSelector[key] != null) {
+                    restrictions[key] = Number(videoSelector[key]);
+                }
+            }
+
+            ({ variant: targetStream, reasons } = StreamUtils.chooseVariant(
+                parsedResult.variants.filter(variant => variant.audio && variant.video),
+                toCriteria(videoSelector), toCriteria(audioSelector), restrictions));
+
+            if (!targetStream) {
+                return res.status(404).json({
+                    error: "No variant matches the selectors",
+                    reasons
+                });
+            }
+        }
+
+        let text = null;
+        if (textSelector) {
+            let textReasons;
+            ({ stream: text, reasons: textReasons } = StreamUtils.chooseTextStream(
+                parsedResult.textStreams, {
+                    representationId: textSelector.representation_id,
+                    preferredLanguage: textSelector.language,
+                    kind: textSelector.kind
+                }));
+
+            if (!text) {
+                return res.status(404).json({
+                    error: "No text stream matches the selector",
+                    reasons: textReasons
+                });
+            }
+            reasons = reasons.concat(textReasons);
         }
 
         const audio = targetStream.audio;
         const video = targetStream.video;
 
-        await Promise.all([audio.createSegmentIndex(), video.createSegmentIndex()]);
+        await Promise.all([audio.createSegmentIndex(), video.createSegmentIndex(),
+            text ? text.createSegmentIndex() : null]);
 
         const responseData = {
             maxSegmentDuration: parsedResult.presentationTimeline.maxSegmentDuration_,
             timeShiftBufferDepth,
+            selection: {
+                video: targetStream.video.originalId,
+                audio: targetStream.audio.originalId,
+                text: text ? text.originalId : undefined,
+                reasons
+            },
             video: [],
             audio: []
         };
 
-        const processSegmentData = (segmentIndex, mediaData, timescale) => {
-            const initSegmentUri = segmentIndex.get(0).initSegmentReference.getUris()[0];
-            mediaData.push({
-                segment: 0,
-                type: "initialization",
-                uri: initSegmentUri
-            });
+        const periods = lease.parser.getPeriods();
 
-            if (segmentIndex.indexes_) {
-                for (let i = 0; i < segmentIndex.indexes_[0].references.length; i++) {
-                    const reference = segmentIndex.indexes_[0].references[i];
-                    const segmentUri = reference.getUrisInner()[0];
-                    const segmentNum = toEpochTime(presentationStartTime, reference.startTime / timescale);
-
-                    mediaData.push({
-                        segment: segmentNum,
-                        type: "media",
-                        start: toEpochTime(presentationStartTime, reference.startTime / timescale),
-                        stop: toEpochTime(presentationStartTime, reference.endTime / timescale),
-                        duration: Math.ceil((reference.endTime - reference.startTime) / timescale),
-                        uri: segmentUri
-                    });
-                }
-            } else {
-                const refNum = segmentIndex.getNumReferences();
-                for (let i = refNum - nSegments; i < refNum; i++) {
-                    const reference = segmentIndex.get(i);
-                    const segmentUri = reference.getUrisInner()[0];
-                    const segmentNum = toEpochTime(presentationStartTime, reference.startTime / timescale);
-
-                    mediaData.push({
-                        segment: segmentNum,
-                        type: "media",
-                        start: toEpochTime(presentationStartTime, reference.startTime / timescale),
-                        stop: toEpochTime(presentationStartTime, reference.endTime / timescale),
-                        duration: Math.ceil((reference.endTime - reference.startTime) / timescale),
-                        uri: segmentUri
-                    });
-                }
+        if (isRange) {
+            responseData.range = { start: rangeStart, end: isFinite(rangeEnd) ? rangeEnd : null };
+            responseData.video = listRange(video.segmentIndex, rangeStart, rangeEnd, presentationStartTime, periods,
+                getAvailability(video, timeline), granularity);
+            responseData.audio = listRange(audio.segmentIndex, rangeStart, rangeEnd, presentationStartTime, periods,
+                getAvailability(audio, timeline), granularity);
+            if (text) {
+                responseData.text = listRange(text.segmentIndex, rangeStart, rangeEnd, presentationStartTime, periods,
+                    getAvailability(text, timeline), granularity);
             }
-        };
-
 
-        const videoSegmentIndex = video.segmentIndex;
-        const audioSegmentIndex = audio.segmentIndex;
-        let videoTimescale = 1;
-        let audioTimescale = 1;
+            if (!responseData.video.length && !responseData.audio.length) {
+                return res.status(416).json({ error: "No segment covers the requested range" });
+            }
 
-        processSegmentData(videoSegmentIndex, responseData.video, videoTimescale);
-        processSegmentData(audioSegmentIndex, responseData.audio, audioTimescale);
+            logger.info(`returning ${responseData.video.length} video segments and ${responseData.audio.length} audio ones for ${rangeStart}-${rangeEnd}`);
+        } else {
+            responseData.video = listLatest(video.segmentIndex, nSegments, presentationStartTime, periods,
+                getAvailability(video, timeline), granularity);
+            responseData.audio = listLatest(audio.segmentIndex, nSegments, presentationStartTime, periods,
+                getAvailability(audio, timeline), granularity);
+            if (text) {
+                // Text segments need not line up with the video ones, so the
+                // text covering the same time is listed.  A sidecar file in a
+                // live Period has no known duration, and so covers no time:
+                // its latest segments are listed instead, like the video ones.
+                const videoReferences = latestReferences(video.segmentIndex, nSegments);
+                responseData.text = videoReferences.length ? listRange(text.segmentIndex,
+                    videoReferences[0].startTime, videoReferences[videoReferences.length - 1].endTime,
+                    presentationStartTime, periods, getAvailability(text, timeline), granularity) : [];
+                if (!responseData.text.length) {
+                    responseData.text = listLatest(text.segmentIndex, nSegments, presentationStartTime,
+                        periods, getAvailability(text, timeline), granularity);
+                }
+            }
 
-        logger.info(`returning ${responseData.video.length} video segments and ${responseData.audio.length} audio ones for latest ${timeDuration} seconds..`);
+            logger.info(`returning ${responseData.video.length} video segments and ${responseData.audio.length} audio ones for latest ${timeDuration} seconds..`);
+        }
 
-        // combiine responseData.video.[0] and responseData.video.slice(-nSegments) into a single array responseData.video
-        videoFiltered = [];
-        audioFiltered = [];
-        responseData.video = videoFiltered.concat(responseData.video[0], responseData.video.slice(-nSegments));
-        responseData.audio = audioFiltered.concat(responseData.audio[0], responseData.audio.slice(-nSegments));
+        // Only the events overlapping the returned segments are of interest.
+        const mediaEntries = responseData.video.concat(responseData.audio)
+            .filter(entry => entry && entry.type === "media");
+        const windowStart = Math.min(...mediaEntries.map(entry => entry.start));
+        const windowStop = Math.max(...mediaEntries.map(entry => entry.stop));
+        const windowEvents = (parsedResult.events || []).filter(event =>
+            presentationStartTime + event.endTime >= windowStart &&
+            presentationStartTime + event.startTime <= windowStop);
+        responseData.events = windowEvents
+            .map(event => toEventEntry(event, presentationStartTime));
+        responseData.adBreaks = toAdBreaks(windowEvents, presentationStartTime);
+        responseData.drm = { video: toDrmEntry(video), audio: toDrmEntry(audio) };
+        if (text) {
+            responseData.textStream = toStreamEntry(text);
+        }
+        if (lowLatency) {
+            responseData.lowLatency = toLowLatencyEntry(parsedResult, video, audio);
+        }
+        // Read once the segments are listed, since their URIs are resolved
+        // against the pathway in use when they are read.
+        const contentSteering = lease.parser.getContentSteering();
+        if (contentSteering) {
+            responseData.contentSteering = contentSteering;
+        }
+        if (probe) {
+            // The manifest is not needed while the origins are probed.
+            lease.release();
+            lease = null;
+            responseData.origins = await dropDeadOrigins(
+                [responseData.video, responseData.audio, responseData.text || []],
+                requestHeader, proxy);
+        }
         res.json(responseData);
     } catch (err) {
-        console.error(err);
-        res.status(500).json({ error: "Internal Server Error" });
+        sendError(res, err);
+    } finally {
+        if (lease) {
+            lease.release();
+        }
     }
 };
 
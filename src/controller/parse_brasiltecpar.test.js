@@ -0,0 +1,102 @@
+const assert = require('assert');
+const http = require('http');
+const {describe, it, before, after} = require('node:test');
+
+const ParserBrasiltecpar = require('./parse_brasiltecpar');
+
+// A live presentation, 2 second segments, with its subtitles in a sidecar
+// WebVTT file.
+const LIVE_SIDECAR_MPD = `<?xml version="1.0" encoding="utf-8"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="dynamic"
+    availabilityStartTime="1970-01-01T00:00:00Z"
+    publishTime="2024-01-01T00:00:00Z" minimumUpdatePeriod="PT2S"
+    timeShiftBufferDepth="PT30S" maxSegmentDuration="PT2S" minBufferTime="PT2S"
+    profiles="urn:mpeg:dash:profile:isoff-live:2011">
+  <UTCTiming schemeIdUri="urn:mpeg:dash:utc:direct:2014"
+      value="2024-01-01T00:00:00Z"/>
+  <Period id="p0" start="PT0S">
+    <AdaptationSet contentType="video" mimeType="video/mp4">
+      <SegmentTemplate timescale="1" media="v_$Number$.m4s"
+          initialization="v_init.mp4" startNumber="1" duration="2"/>
+      <Representation id="v1" bandwidth="1000000" codecs="avc1.64001f"
+          width="1280" height="720"/>
+    </AdaptationSet>
+    <AdaptationSet contentType="audio" mimeType="audio/mp4" lang="en">
+      <SegmentTemplate timescale="1" media="a_$Number$.m4s"
+          initialization="a_init.mp4" startNumber="1" duration="2"/>
+      <Representation id="a1" bandwidth="128000" codecs="mp4a.40.2"/>
+    </AdaptationSet>
+    <AdaptationSet contentType="text" mimeType="text/vtt" lang="en">
+      <Representation id="t-en" bandwidth="256">
+        <BaseURL>subs_en.vtt</BaseURL>
+      </Representation>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+/**
+ * Calls the controller as express would, and resolves with what it answered.
+ *
+ * @param {!Object} body
+ * @return {!Promise.<{status: number, body: !Object}>}
+ */
+function parse(body) {
+  return new Promise((resolve, reject) => {
+    let status = 200;
+    const res = {
+      status(code) {
+        status = code;
+        return res;
+      },
+      set() {
+        return res;
+      },
+      json(data) {
+        resolve({status, body: data});
+        return res;
+      },
+    };
+    ParserBrasiltecpar({body}, res).catch(reject);
+  });
+}
+
+describe('ParserBrasiltecpar', () => {
+  /** @type {http.Server} */
+  let server;
+  let mpdUrl;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(200, {'Content-Type': 'application/dash+xml'});
+      res.end(LIVE_SIDECAR_MPD);
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    mpdUrl = `http://127.0.0.1:${server.address().port}/live.mpd`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  it('rejects a missing or malformed url', async () => {
+    assert.strictEqual((await parse({})).status, 400);
+    assert.strictEqual((await parse({url: 'not a url'})).status, 400);
+  });
+
+  it('lists the sidecar text of a live stream', async () => {
+    const {status, body} = await parse({
+      url: mpdUrl,
+      noCache: true,
+      bufferLength: 4,
+      video: {representation_id: 'v1'},
+      audio: {representation_id: 'a1'},
+      text: {language: 'en'},
+    });
+
+    assert.strictEqual(status, 200);
+    assert.ok(body.video.some((entry) => entry.type === 'media'));
+    assert.strictEqual(body.text.length, 1);
+    assert.strictEqual(body.text[0].type, 'media');
+    assert.match(body.text[0].uri, /\/subs_en\.vtt$/);
+  });
+});
@@ -0,0 +1,67 @@
+const axios = require('axios');
+
+const MpdRewriter = require('../dash/mpd_rewriter');
+const NetworkingUtils = require('../util/networking_utils');
+const logger = require('../util/logger');
+const xml_utils = require('../util/xml_utils');
+const { sendError } = require('./errors');
+const { toBaseUrl } = require('./manifest_cache');
+
+const fetchMpd = async (mpdUrl, requestHeader, proxy) => {
+    const requestOptions = NetworkingUtils.createRequestOptions(requestHeader, proxy);
+    requestOptions.responseType = 'arraybuffer';
+    const response = await axios.get(mpdUrl, requestOptions);
+    return new Uint8Array(response.data);
+};
+
+// Fetches |url| and returns it rewritten by |rules|, see MpdRewriter.Rules.
+const rewriteMpd = async (req, res) => {
+    try {
+        const {
+            url: mpdUrl,
+            headers: requestHeader,
+            proxy: proxy,
+            rules = {}
+        } = req.body;
+
+        if (!mpdUrl) {
+            return res.status(400).json({ error: "url is required" });
+        }
+
+        if (!toBaseUrl(mpdUrl)) {
+            return res.status(400).json({ error: "url must be an absolute http(s) URL" });
+        }
+
+        let data;
+        try {
+            data = await fetchMpd(mpdUrl, requestHeader, proxy);
+        } catch (err) {
+            logger.warn(`Error fetching mpd ${mpdUrl}: ${err.message}`);
+            return sendError(res, NetworkingUtils.createHttpError(err, mpdUrl));
+        }
+
+        let mpd;
+        try {
+            mpd = xml_utils.parseXml(data, 'MPD');
+        } catch (err) {
+            logger.warn(`Unable to parse mpd ${mpdUrl}: ${err.message}`);
+            mpd = null;
+        }
+        if (!mpd) {
+            return res.status(422).json({ error: "The manifest is not an MPD" });
+        }
+
+        const dropped = MpdRewriter.rewrite(mpd, rules);
+        logger.info(`Rewrote mpd ${mpdUrl}, dropped ${dropped.adaptationSets} AdaptationSets, ` +
+            `${dropped.representations} Representations and ` +
+            `${dropped.contentProtections} ContentProtections`);
+
+        const xml = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            xml_utils.stringify(mpd, '  ') + '\n';
+        res.type('application/dash+xml').send(xml);
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+module.exports = { rewriteMpd };
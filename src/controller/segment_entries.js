@@ -0,0 +1,284 @@
+const { InitSegmentReference } = require('../media/segment_reference');
+const ManifestParserUtils = require('../util/manifest_parser_utils');
+const Scte35Parser = require('../util/scte35_parser');
+
+const toEpochTime = (presentationStartTime, seconds) => {
+    return Math.floor(presentationStartTime + seconds);
+};
+
+// Single-file (SegmentBase) streams share one URI, so the byte range is what
+// tells the segments apart.
+const toByteRange = (reference) => {
+    if (!reference.startByte && reference.endByte == null) {
+        return undefined;
+    }
+    const endByte = reference.endByte != null ? reference.endByte : '';
+    return `${reference.startByte}-${endByte}`;
+};
+
+const toInitEntry = (initSegmentReference) => {
+    return {
+        segment: 0,
+        type: "initialization",
+        uri: initSegmentReference.getUris()[0],
+        uris: initSegmentReference.getUris(),
+        range: toByteRange(initSegmentReference)
+    };
+};
+
+// |uris| lists every candidate, best first, e.g. one per BaseURL, so a
+// download can fail over to the next.
+const toMediaEntry = (reference, presentationStartTime, timescale) => {
+    const start = toEpochTime(presentationStartTime, reference.startTime / timescale);
+    const uris = reference.getUrisInner();
+    return {
+        segment: start,
+        type: "media",
+        start,
+        stop: toEpochTime(presentationStartTime, reference.endTime / timescale),
+        duration: Math.ceil((reference.endTime - reference.startTime) / timescale),
+        uri: uris[0],
+        uris,
+        range: toByteRange(reference)
+    };
+};
+
+const addAvailability = (entry, reference, presentationStartTime, availability) => {
+    if (availability) {
+        const end = presentationStartTime + reference.endTime;
+        entry.availableAt = end - availability.availabilityTimeOffset;
+        if (end > availability.now) {
+            entry.inProgress = true;
+        }
+    }
+};
+
+// Partial segments (SegmentTimeline S@k) last a fraction of a second, so their
+// times are not rounded.  |part| counts from 1, like $SubNumber$.
+//
+// The availabilityTimeOffset of a stream is that of its whole segments: a
+// partial segment is a resource of its own, only available once it ends.
+const toPartialEntry = (partial, part, reference, presentationStartTime, availability) => {
+    const uris = partial.getUrisInner();
+    const entry = {
+        part,
+        start: presentationStartTime + partial.startTime,
+        stop: presentationStartTime + partial.endTime,
+        duration: partial.endTime - partial.startTime,
+        uri: uris[0],
+        uris,
+        range: toByteRange(partial),
+        independent: partial.isIndependent()
+    };
+    if (availability) {
+        const segmentEnd = presentationStartTime + reference.endTime;
+        entry.availableAt =
+            Math.max(entry.stop, segmentEnd - availability.availabilityTimeOffset);
+        if (entry.stop > availability.now) {
+            entry.inProgress = true;
+        }
+    }
+    return entry;
+};
+
+// Media entries tagged with their Period, each run of them preceded by its
+// initialization segment: a new one is listed whenever it changes, e.g. at a
+// Period boundary or after an encoder restart.
+//
+// With |availability|, see getAvailability(), media entries also say when
+// each segment can be fetched, and which are still being produced.
+//
+// Segments made of partial segments list them under |partials|.  With the
+// "partial" |granularity|, each partial segment is an entry of its own
+// instead, with the segment number of the segment it is part of.
+const toSegmentEntries = (references, presentationStartTime, periods, availability,
+    granularity = 'segment') => {
+    const entries = [];
+    let initSegmentReference = null;
+    for (const reference of references) {
+        if (reference.initSegmentReference && (!entries.length ||
+            !InitSegmentReference.equal(reference.initSegmentReference, initSegmentReference))) {
+            entries.push(toInitEntry(reference.initSegmentReference));
+        }
+        initSegmentReference = reference.initSegmentReference;
+
+        const entry = toMediaEntry(reference, presentationStartTime, 1);
+        const period = ManifestParserUtils.findPeriod(periods, reference);
+        if (period) {
+            entry.periodId = period.id;
+            entry.periodStart = toEpochTime(presentationStartTime, period.start);
+        }
+        addAvailability(entry, reference, presentationStartTime, availability);
+
+        if (!reference.hasPartialSegments()) {
+            entries.push(entry);
+            continue;
+        }
+        const partials = reference.partialReferences.map((partial, i) =>
+            toPartialEntry(partial, i + 1, reference, presentationStartTime, availability));
+        if (granularity === 'partial') {
+            for (const partial of partials) {
+                entries.push(Object.assign({ segment: entry.segment, type: "media" }, partial, {
+                    periodId: entry.periodId,
+                    periodStart: entry.periodStart
+                }));
+            }
+        } else {
+            entry.partials = partials;
+            entries.push(entry);
+        }
+    }
+    return entries;
+};
+
+// Live segments become available when they end, less the
+// availabilityTimeOffset of their stream; until they end, they can only be
+// fetched chunk by chunk.  Nothing is said of VOD segments, which are all
+// available.
+const getAvailability = (stream, timeline) => {
+    if (!timeline.isLive()) {
+        return null;
+    }
+    return {
+        availabilityTimeOffset: stream.availabilityTimeOffset || 0,
+        now: timeline.getWallClockTime()
+    };
+};
+
+// Binary message data is sent back the way the MPD carried it, as base64.
+const toEventEntry = (event, presentationStartTime) => {
+    const messageData = event.messageData instanceof Uint8Array ?
+        Buffer.from(event.messageData).toString('base64') : event.messageData;
+    return {
+        schemeIdUri: event.schemeIdUri,
+        value: event.value,
+        id: event.id,
+        start: presentationStartTime + event.startTime,
+        stop: presentationStartTime + event.endTime,
+        duration: event.endTime - event.startTime,
+        presentationTime: event.presentationTime,
+        timescale: event.timescale,
+        contentEncoding: event.contentEncoding || undefined,
+        messageData,
+        scte35: event.scte35 || undefined
+    };
+};
+
+// The CUE-OUT/CUE-IN cues of the SCTE-35 events, in wall-clock order.
+const toAdBreaks = (events, presentationStartTime) => {
+    const cues = [];
+    for (const event of events) {
+        if (!event.scte35) {
+            continue;
+        }
+        const anchor = {
+            pts: event.presentationTime * Scte35Parser.TIMESCALE / event.timescale,
+            wallClock: presentationStartTime + event.startTime
+        };
+        for (const cue of Scte35Parser.getCues(event.scte35, anchor)) {
+            cues.push(Object.assign({ eventId: event.id }, cue));
+        }
+    }
+    return cues.sort((a, b) => a.time - b.time);
+};
+
+// A tile of a thumbnail image; times are like those of events, unrounded,
+// since tiles are often shorter than a second.
+const toThumbnailEntry = (thumbnail, presentationStartTime) => {
+    return {
+        uri: thumbnail.uris[0],
+        start: presentationStartTime + thumbnail.startTime,
+        stop: presentationStartTime + thumbnail.startTime + thumbnail.duration,
+        duration: thumbnail.duration,
+        column: thumbnail.column,
+        row: thumbnail.row,
+        positionX: thumbnail.positionX,
+        positionY: thumbnail.positionY,
+        width: thumbnail.width,
+        height: thumbnail.height,
+        imageWidth: thumbnail.imageWidth,
+        imageHeight: thumbnail.imageHeight,
+        sprite: thumbnail.sprite || undefined
+    };
+};
+
+// Key systems are listed in the order the MPD gave them; init data is base64
+// like any other binary field of the response.
+const toDrmEntry = (stream) => {
+    return {
+        encrypted: !!stream.encrypted,
+        keyIds: Array.from(stream.keyIds || []),
+        drmInfos: (stream.drmInfos || []).map(drmInfo => ({
+            keySystem: drmInfo.keySystem,
+            encryptionScheme: drmInfo.encryptionScheme,
+            licenseServerUri: drmInfo.licenseServerUri || undefined,
+            robustness: (stream.type === 'audio' ?
+                drmInfo.audioRobustness : drmInfo.videoRobustness) || undefined,
+            initData: (drmInfo.initData || []).map(initData => ({
+                initDataType: initData.initDataType,
+                keyId: initData.keyId || undefined,
+                initData: Buffer.from(initData.initData).toString('base64')
+            }))
+        }))
+    };
+};
+
+// Numbers are presentation seconds; anything else is read as an ISO date.
+const toPresentationTime = (value, presentationStartTime) => {
+    if (typeof value === 'number' || /^\s*-?\d+(\.\d+)?\s*$/.test(value)) {
+        return Number(value);
+    }
+    return Date.parse(value) / 1000 - presentationStartTime;
+};
+
+// Everything a client needs to pick a representation_id, without fetching
+// any segment index.
+const toStreamEntry = (stream) => {
+    const isVideo = stream.type === 'video';
+    return {
+        originalId: stream.originalId,
+        type: stream.type,
+        mimeType: stream.mimeType,
+        codecs: stream.codecs,
+        bandwidth: stream.bandwidth,
+        width: stream.width || undefined,
+        height: stream.height || undefined,
+        resolution: stream.width && stream.height ?
+            `${stream.width}x${stream.height}` : undefined,
+        frameRate: stream.frameRate || undefined,
+        pixelAspectRatio: stream.pixelAspectRatio || undefined,
+        // Shaka only flags HDR streams; anything else is SDR.
+        videoRange: isVideo ? (stream.hdr || 'SDR') : undefined,
+        language: stream.language,
+        label: stream.label || undefined,
+        kind: stream.kind || undefined,
+        primary: stream.primary,
+        roles: stream.roles,
+        forced: stream.forced || undefined,
+        accessibilityPurpose: stream.accessibilityPurpose || undefined,
+        channelsCount: stream.channelsCount || undefined,
+        audioSamplingRate: stream.audioSamplingRate || undefined,
+        spatialAudio: stream.spatialAudio || undefined,
+        closedCaptions: stream.closedCaptions && stream.closedCaptions.size ?
+            Object.fromEntries(stream.closedCaptions) : undefined,
+        tilesLayout: stream.tilesLayout || undefined,
+        encrypted: !!stream.encrypted
+    };
+};
+
+const toVariantEntry = (variant) => {
+    return {
+        id: variant.id,
+        language: variant.language,
+        primary: variant.primary,
+        bandwidth: variant.bandwidth,
+        video: variant.video ? toStreamEntry(variant.video) : null,
+        audio: variant.audio ? toStreamEntry(variant.audio) : null
+    };
+};
+
+module.exports = {
+    toEpochTime, toPresentationTime, toByteRange, toInitEntry, toMediaEntry, toSegmentEntries,
+    getAvailability,
+    toEventEntry, toAdBreaks, toThumbnailEntry, toDrmEntry, toStreamEntry, toVariantEntry
+};
@@ -0,0 +1,54 @@
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const {toSegmentEntries} = require('./segment_entries');
+const {SegmentReference} = require('../media/segment_reference');
+
+/**
+ * A 2 second segment made of 4 partial segments, as S@k="4" gives it.
+ *
+ * @return {!SegmentReference}
+ */
+function partialSegment() {
+  const partials = [];
+  for (let i = 0; i < 4; i++) {
+    partials.push(new SegmentReference(
+        i * 0.5, (i + 1) * 0.5, () => [`v_1_${i + 1}.m4s`], 0, null, null,
+        0, 0, Infinity));
+  }
+  return new SegmentReference(
+      0, 2, () => [], 0, null, null, 0, 0, Infinity, partials, '', null,
+      null, SegmentReference.Status.AVAILABLE, null,
+      /* allPartialSegments= */ true);
+}
+
+describe('toSegmentEntries', () => {
+  it('never makes partial segments available before they end', () => {
+    const availability = {availabilityTimeOffset: 1.5, now: 1001.2};
+
+    const [entry] = toSegmentEntries(
+        [partialSegment()], 1000, [], availability);
+
+    // The whole segment keeps the offset of the stream.
+    assert.strictEqual(entry.availableAt, 1000.5);
+    assert.strictEqual(entry.inProgress, true);
+    assert.deepStrictEqual(
+        entry.partials.map((partial) => partial.availableAt),
+        [1000.5, 1001, 1001.5, 1002]);
+    assert.deepStrictEqual(
+        entry.partials.map((partial) => !!partial.inProgress),
+        [false, false, true, true]);
+  });
+
+  it('lists partial segments as entries at the partial granularity', () => {
+    const availability = {availabilityTimeOffset: 1.5, now: 1001.2};
+
+    const entries = toSegmentEntries(
+        [partialSegment()], 1000, [], availability, 'partial');
+
+    assert.deepStrictEqual(entries.map((entry) => entry.part), [1, 2, 3, 4]);
+    assert.deepStrictEqual(
+        entries.map((entry) => entry.availableAt),
+        [1000.5, 1001, 1001.5, 1002]);
+  });
+});
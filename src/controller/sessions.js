@@ -0,0 +1,141 @@
+const SessionManager = require('../core/session_manager');
+const StreamUtils = require('../util/stream_utils');
+const logger = require('../util/logger');
+const { toEpochTime, toSegmentEntries } = require('./segment_entries');
+const { sendError } = require('./errors');
+const { toBaseUrl } = require('./manifest_cache');
+
+const DEFAULT_SESSION_TTL = 300;
+const DEFAULT_MAX_SESSIONS = 20;
+
+let sessionManager = null;
+
+// Created on first use, so the limits can come from .env, which is loaded
+// after the routes are required.
+const getSessionManager = () => {
+    if (!sessionManager) {
+        sessionManager = new SessionManager(
+            Number(process.env.SESSION_TTL) || DEFAULT_SESSION_TTL,
+            Number(process.env.MAX_SESSIONS) || DEFAULT_MAX_SESSIONS);
+    }
+    return sessionManager;
+};
+
+// Lists the segments starting after |since| (epoch seconds), each run of them
+// preceded by its initialization segment.
+const listSegments = (segmentIndex, presentationStartTime, periods, since) => {
+    const references = [];
+    // Walked by position: the iterators of the index step through partial
+    // segments instead of the segments made of them.
+    let position = segmentIndex.find(-Infinity);
+    if (position == null) {
+        return [];
+    }
+    for (let reference = segmentIndex.get(position); reference;
+        reference = segmentIndex.get(++position)) {
+        if (since != null &&
+            toEpochTime(presentationStartTime, reference.startTime) <= since) {
+            continue;
+        }
+        references.push(reference);
+    }
+    return toSegmentEntries(references, presentationStartTime, periods);
+};
+
+const createSession = async (req, res) => {
+    try {
+        const {
+            url: mpdUrl,
+            headers: requestHeader,
+            proxy: proxy
+        } = req.body;
+
+        if (!mpdUrl) {
+            return res.status(400).json({ error: "url is required" });
+        }
+
+        const baseUrl = toBaseUrl(mpdUrl);
+        if (!baseUrl) {
+            return res.status(400).json({ error: "url must be an absolute http(s) URL" });
+        }
+
+        const { session, created } =
+            await getSessionManager().open(mpdUrl, baseUrl, requestHeader, proxy);
+        const timeline = session.parser.manifest_.presentationTimeline;
+
+        res.status(created ? 201 : 200).json({
+            id: session.id,
+            url: session.uri,
+            dynamic: timeline.isLive(),
+            created
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+const getSessionSegments = async (req, res) => {
+    try {
+        const session = getSessionManager().get(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: "Session not found" });
+        }
+        await session.ready;
+
+        const { since, video: videoRepId, audio: audioRepId } = req.query;
+        const sinceTime = since != null ? Number(since) : null;
+        if (sinceTime != null && isNaN(sinceTime)) {
+            return res.status(400).json({ error: "since must be an epoch time in seconds" });
+        }
+
+        const manifest = session.parser.manifest_;
+        const timeline = manifest.presentationTimeline;
+        const presentationStartTime = timeline.getPresentationStartTime();
+
+        const targetStream = manifest.variants.find(variant =>
+            (!videoRepId || StreamUtils.hasRepresentation(variant.video, videoRepId)) &&
+            (!audioRepId || StreamUtils.hasRepresentation(variant.audio, audioRepId)));
+
+        if (!targetStream) {
+            return res.status(404).json({ error: "Representation not found" });
+        }
+
+        const responseData = {
+            id: session.id,
+            dynamic: timeline.isLive(),
+            lastUpdate: session.lastUpdate,
+            lastError: session.lastError,
+            maxSegmentDuration: timeline.maxSegmentDuration_,
+            timeShiftBufferDepth: timeline.segmentAvailabilityDuration_,
+            video: [],
+            audio: []
+        };
+
+        for (const type of ['video', 'audio']) {
+            const stream = targetStream[type];
+            if (!stream) {
+                continue;
+            }
+            await stream.createSegmentIndex();
+            responseData[type] =
+                listSegments(stream.segmentIndex, presentationStartTime,
+                    session.parser.getPeriods(), sinceTime);
+        }
+
+        logger.info(`Session ${session.id}: returning ${responseData.video.length} video ` +
+            `and ${responseData.audio.length} audio segments since ${sinceTime}`);
+
+        res.json(responseData);
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+const deleteSession = (req, res) => {
+    if (!getSessionManager().close(req.params.id)) {
+        return res.status(404).json({ error: "Session not found" });
+    }
+    res.status(204).end();
+};
+
+module.exports = { getSessionManager, createSession, getSessionSegments, deleteSession };
@@ -0,0 +1,101 @@
+const StreamUtils = require('../util/stream_utils');
+const logger = require('../util/logger');
+const {
+    toPresentationTime, toThumbnailEntry, toStreamEntry
+} = require('./segment_entries');
+const { sendError } = require('./errors');
+const { acquireManifest, toBaseUrl } = require('./manifest_cache');
+
+// The stream with the given representation_id, or the one with the largest
+// images.
+const chooseImageStream = (imageStreams, representationId) => {
+    if (representationId) {
+        return imageStreams.find(stream =>
+            StreamUtils.hasRepresentation(stream, representationId)) || null;
+    }
+    return imageStreams.reduce((best, stream) => {
+        const size = (stream.width || 0) * (stream.height || 0);
+        return !best || size > (best.width || 0) * (best.height || 0) ? stream : best;
+    }, null);
+};
+
+// With |time| (presentation seconds or an ISO date), returns the thumbnail
+// shown at that time.  Without it, returns every thumbnail of the stream, for
+// a scrub bar.
+const getThumbnails = async (req, res) => {
+    let lease = null;
+    try {
+        const {
+            url: mpdUrl,
+            time,
+            representation_id: representationId,
+            proxy,
+            noCache
+        } = req.query;
+
+        if (!mpdUrl) {
+            return res.status(400).json({ error: "url is required" });
+        }
+
+        const baseUrl = toBaseUrl(mpdUrl);
+        if (!baseUrl) {
+            return res.status(400).json({ error: "url must be an absolute http(s) URL" });
+        }
+
+        lease = await acquireManifest(res, mpdUrl, baseUrl, undefined, proxy || null,
+            { noCache: noCache === 'true' || noCache === '1' });
+        const manifest = lease.manifest;
+
+        const stream = chooseImageStream(manifest.imageStreams, representationId);
+        if (!stream) {
+            return res.status(404).json({ error: "No thumbnail track found" });
+        }
+
+        await stream.createSegmentIndex();
+
+        const presentationStartTime =
+            manifest.presentationTimeline.getPresentationStartTime();
+
+        if (time == null) {
+            const thumbnails = [];
+            for (const reference of stream.segmentIndex) {
+                if (reference) {
+                    thumbnails.push(...StreamUtils.getThumbnails(stream, reference));
+                }
+            }
+
+            logger.info(`returning ${thumbnails.length} thumbnails of ${stream.originalId}`);
+            return res.json({
+                stream: toStreamEntry(stream),
+                thumbnails: thumbnails.map(thumbnail =>
+                    toThumbnailEntry(thumbnail, presentationStartTime))
+            });
+        }
+
+        const presentationTime = toPresentationTime(time, presentationStartTime);
+        if (isNaN(presentationTime)) {
+            return res.status(400).json({ error: "time must be seconds or an ISO date" });
+        }
+
+        const iterator = stream.segmentIndex.getIteratorForTime(presentationTime);
+        const reference = iterator ? iterator.next().value : null;
+        const thumbnail = reference ? StreamUtils.getThumbnails(stream, reference).find(
+            thumbnail => presentationTime < thumbnail.startTime + thumbnail.duration) : null;
+        if (!thumbnail) {
+            return res.status(416).json({ error: "No thumbnail covers the requested time" });
+        }
+
+        res.json({
+            stream: toStreamEntry(stream),
+            thumbnail: toThumbnailEntry(thumbnail, presentationStartTime)
+        });
+    } catch (err) {
+        sendError(res, err);
+    } finally {
+        if (lease) {
+            lease.release();
+        }
+    }
+};
+
+module.exports = { getThumbnails };
@@ -0,0 +1,347 @@
+const DashMpdParser = require('../dash_parser');
+const PlayerConfiguration = require('../util/player_configuration');
+const Timer = require('../util/timer');
+const logger = require('../util/logger');
+
+/**
+ * @summary Shares parsed manifests between requests for the same manifest
+ * URL, headers and proxy, so clients polling a live MPD do not each download
+ * and parse it.
+ *
+ * A cached manifest is used as is until it expires, after @maxAge seconds or
+ * the MPD's @minimumUpdatePeriod, whichever comes first.  It is then
+ * revalidated with a conditional request, and only parsed again if the
+ * server sends a new one.  Concurrent requests for the same manifest wait for
+ * the same fetch.
+ *
+ * Callers hold a lease while they read the manifest, and must release it:
+ * parsers dropped from the cache are only stopped once nobody reads them.
+ */
+class ManifestCache {
+    /**
+     * @param {number} maxAge Seconds a manifest is used before it is
+     *   revalidated.
+     * @param {number} ttl Seconds an entry may stay unused before it is
+     *   dropped.
+     * @param {number} maxEntries How many manifests may be cached at once.
+     */
+    constructor(maxAge, ttl, maxEntries) {
+        this.maxAge_ = maxAge;
+        this.ttl_ = ttl;
+        this.maxEntries_ = maxEntries;
+
+        /** @private {!Map.<string, ManifestCache.Entry>} */
+        this.entries_ = new Map();
+
+        /** @private {!Object.<string, number>} */
+        this.stats_ = {
+            hits: 0,
+            misses: 0,
+            revalidated: 0,
+            refreshed: 0,
+            coalesced: 0,
+            bypassed: 0,
+            evicted: 0,
+        };
+
+        /** @private {!Timer} */
+        this.evictTimer_ = new Timer(() => {
+            this.evictExpired_();
+        });
+    }
+
+    /**
+     * Returns a lease on the parsed manifest, fetching or revalidating it if
+     * needed.
+     *
+     * @param {string} uri
+     * @param {string} baseUrl
+     * @param {Object.<string, string>} requestHeader
+     * @param {?string} proxy
+     * @param {ManifestCache.Options} options
+     * @return {!Promise.<ManifestCache.Lease>}
+     * @throws {!ParserError} if the manifest cannot be fetched or parsed.
+     */
+    async acquire(uri, baseUrl, requestHeader, proxy, options) {
+        if (options.noCache) {
+            this.stats_.bypassed++;
+            const entry = this.createEntry_(null, uri, options);
+            // Nobody else can find it, so it is stopped on release.
+            entry.removed = true;
+            entry.pending = entry.parser.start(uri, baseUrl, requestHeader, proxy);
+            return this.lease_(entry, ManifestCache.Status.BYPASS);
+        }
+
+        const key = ManifestCache.createKey_(
+            uri, requestHeader, proxy, options.lowLatency);
+        let entry = this.entries_.get(key);
+        let status;
+
+        if (entry && entry.pending) {
+            this.stats_.coalesced++;
+            status = ManifestCache.Status.COALESCED;
+        } else if (entry && Date.now() < entry.expiresAt) {
+            this.stats_.hits++;
+            status = ManifestCache.Status.HIT;
+        } else if (entry) {
+            status = ManifestCache.Status.REVALIDATED;
+            entry.pending = entry.parser.refresh().then((modified) => {
+                if (modified) {
+                    this.stats_.refreshed++;
+                } else {
+                    this.stats_.revalidated++;
+                }
+            });
+        } else {
+            this.stats_.misses++;
+            status = ManifestCache.Status.MISS;
+            this.evictExpired_();
+            this.makeRoom_();
+
+            entry = this.createEntry_(key, uri, options);
+            this.entries_.set(key, entry);
+            entry.pending = entry.parser.start(uri, baseUrl, requestHeader, proxy);
+            this.evictTimer_.tickEvery(/* seconds= */ Math.max(1, this.ttl_ / 2));
+        }
+
+        return this.lease_(entry, status);
+    }
+
+    /**
+     * @return {!Object.<string, number>} The number of entries, and how
+     *   requests for manifests were served since the cache was created.
+     */
+    getStats() {
+        return Object.assign({entries: this.entries_.size}, this.stats_);
+    }
+
+    /**
+     * @param {?string} key
+     * @param {string} uri
+     * @param {ManifestCache.Options} options
+     * @return {ManifestCache.Entry}
+     * @private
+     */
+    createEntry_(key, uri, options) {
+        const parser = new DashMpdParser();
+        parser.configure(PlayerConfiguration.createDefault().manifest);
+        parser.setLowLatencyMode(options.lowLatency);
+        return {
+            key,
+            uri,
+            parser,
+            pending: null,
+            expiresAt: 0,
+            lastAccess: Date.now(),
+            users: 0,
+            removed: false,
+        };
+    }
+
+    /**
+     * Waits for the entry's fetch, if any, then hands it to the caller.
+     *
+     * @param {ManifestCache.Entry} entry
+     * @param {ManifestCache.Status} status
+     * @return {!Promise.<ManifestCache.Lease>}
+     * @private
+     */
+    async lease_(entry, status) {
+        entry.users++;
+        entry.lastAccess = Date.now();
+
+        const pending = entry.pending;
+        if (pending) {
+            try {
+                await pending;
+                if (entry.pending === pending) {
+                    entry.pending = null;
+                    entry.expiresAt = Date.now() + this.getMaxAge_(entry) * 1000;
+                }
+            } catch (err) {
+                // The next request fetches the manifest anew.
+                if (entry.pending === pending) {
+                    entry.pending = null;
+                    this.remove_(entry);
+                }
+                this.release_(entry);
+                throw err;
+            }
+        }
+
+        let released = false;
+        return {
+            parser: entry.parser,
+            manifest: entry.parser.manifest_,
+            status,
+            release: () => {
+                if (!released) {
+                    released = true;
+                    this.release_(entry);
+                }
+            },
+        };
+    }
+
+    /**
+     * @param {ManifestCache.Entry} entry
+     * @return {number} Seconds the entry's manifest may be used for.
+     * @private
+     */
+    getMaxAge_(entry) {
+        const updatePeriod = entry.parser.getUpdatePeriod();
+        if (updatePeriod >= 0) {
+            return Math.min(this.maxAge_, updatePeriod);
+        }
+        return this.maxAge_;
+    }
+
+    /**
+     * @param {ManifestCache.Entry} entry
+     * @private
+     */
+    release_(entry) {
+        entry.users--;
+        entry.lastAccess = Date.now();
+        if (entry.removed && !entry.users) {
+            entry.parser.stop();
+        }
+    }
+
+    /**
+     * Drops the entry from the cache.  Its parser is stopped once it has no
+     * more users.
+     *
+     * @param {ManifestCache.Entry} entry
+     * @private
+     */
+    remove_(entry) {
+        if (this.entries_.get(entry.key) === entry) {
+            this.entries_.delete(entry.key);
+        }
+        entry.removed = true;
+        if (!entry.users) {
+            entry.parser.stop();
+        }
+
+        if (!this.entries_.size) {
+            this.evictTimer_.stop();
+        }
+    }
+
+    /**
+     * Drops the least recently used entries until there is room for one more.
+     *
+     * @private
+     */
+    makeRoom_() {
+        const entries = Array.from(this.entries_.values())
+            .filter((entry) => !entry.pending)
+            .sort((a, b) => a.lastAccess - b.lastAccess);
+        while (this.entries_.size >= this.maxEntries_ && entries.length) {
+            const entry = entries.shift();
+            logger.debug(`Dropping cached manifest ${entry.uri} to make room`);
+            this.stats_.evicted++;
+            this.remove_(entry);
+        }
+    }
+
+    /**
+     * Drops the entries which have been unused for longer than the TTL.
+     *
+     * @private
+     */
+    evictExpired_() {
+        const oldest = Date.now() - this.ttl_ * 1000;
+        for (const entry of Array.from(this.entries_.values())) {
+            if (!entry.pending && !entry.users && entry.lastAccess < oldest) {
+                logger.debug(`Cached manifest ${entry.uri} expired`);
+                this.stats_.evicted++;
+                this.remove_(entry);
+            }
+        }
+    }
+
+    /**
+     * Header names are case-insensitive and their order does not matter, so
+     * both are normalized.
+     *
+     * @param {string} uri
+     * @param {Object.<string, string>} requestHeader
+     * @param {?string} proxy
+     * @param {boolean} lowLatency Low-latency mode changes the live edge, so
+     *   it is cached apart.
+     * @return {string}
+     * @private
+     */
+    static createKey_(uri, requestHeader, proxy, lowLatency) {
+        const headers = Object.entries(requestHeader || {})
+            .map(([name, value]) => [name.toLowerCase(), String(value)])
+            .sort((a, b) => a[0].localeCompare(b[0]));
+        return JSON.stringify([uri, headers, proxy || null, lowLatency]);
+    }
+};
+
+/**
+ * How a lease was served.
+ * @enum {string}
+ */
+ManifestCache.Status = {
+    HIT: 'HIT',
+    MISS: 'MISS',
+    REVALIDATED: 'REVALIDATED',
+    COALESCED: 'COALESCED',
+    BYPASS: 'BYPASS',
+};
+
+/**
+ * @typedef {{
+ *   noCache: boolean,
+ *   lowLatency: boolean
+ * }}
+ *
+ * @property {boolean} noCache
+ *   True to fetch and parse the manifest for this caller alone, without
+ *   reading or filling the cache.
+ * @property {boolean} lowLatency
+ *   True to parse the manifest in low-latency mode.
+ */
+ManifestCache.Options;
+
+/**
+ * @typedef {{
+ *   key: ?string,
+ *   uri: string,
+ *   parser: !DashMpdParser,
+ *   pending: Promise,
+ *   expiresAt: number,
+ *   lastAccess: number,
+ *   users: number,
+ *   removed: boolean
+ * }}
+ *
+ * @property {Promise} pending
+ *   The fetch or revalidation in progress, which every caller waits for.
+ * @property {number} users
+ *   How many leases on the entry have not been released.
+ * @property {boolean} removed
+ *   True once the entry is no longer in the cache.
+ */
+ManifestCache.Entry;
+
+/**
+ * @typedef {{
+ *   parser: !DashMpdParser,
+ *   manifest: shaka.extern.Manifest,
+ *   status: ManifestCache.Status,
+ *   release: function()
+ * }}
+ *
+ * @property {!DashMpdParser} parser
+ *   Shared with other callers; it must not be stopped or reconfigured.
+ * @property {function()} release
+ *   Must be called once the caller is done with the manifest.
+ */
+ManifestCache.Lease;
+
+module.exports = ManifestCache;
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+
+const DashMpdParser = require('../dash_parser');
+const ParserError = require('../util/parser_error');
+const PlayerConfiguration = require('../util/player_configuration');
+const Timer = require('../util/timer');
+const logger = require('../util/logger');
+
+/**
+ * @summary Keeps long-lived parsers, one per manifest URL, headers and proxy,
+ * so live manifests are refreshed in the background instead of being
+ * re-parsed on every request.
+ */
+class SessionManager {
+    /**
+     * @param {number} ttl Seconds a session may stay idle before it is closed.
+     * @param {number} maxSessions How many sessions may be open at once.
+     */
+    constructor(ttl, maxSessions) {
+        this.ttl_ = ttl;
+        this.maxSessions_ = maxSessions;
+
+        /** @private {!Map.<string, SessionManager.Session>} */
+        this.sessions_ = new Map();
+
+        /**
+         * Session IDs by session key.
+         * @private {!Map.<string, string>}
+         */
+        this.idsByKey_ = new Map();
+
+        /** @private {!Timer} */
+        this.evictTimer_ = new Timer(() => {
+            this.evictExpired_();
+        });
+    }
+
+    /**
+     * Returns the open session for the given manifest, or creates one.
+     *
+     * @param {string} uri
+     * @param {string} baseUrl
+     * @param {Object.<string, string>} requestHeader
+     * @param {?string} proxy
+     * @return {!Promise.<{session: SessionManager.Session, created: boolean}>}
+     * @throws {!ParserError} TOO_MANY_SESSIONS if no other session may be
+     *   opened.
+     */
+    async open(uri, baseUrl, requestHeader, proxy) {
+        const key = JSON.stringify([uri, requestHeader || {}, proxy || null]);
+        const existing = this.get(this.idsByKey_.get(key));
+        if (existing) {
+            await existing.ready;
+            return {session: existing, created: false};
+        }
+
+        this.evictExpired_();
+        if (this.sessions_.size >= this.maxSessions_) {
+            throw new ParserError(
+                ParserError.Severity.RECOVERABLE,
+                ParserError.Category.REQUEST,
+                ParserError.Code.TOO_MANY_SESSIONS,
+                this.maxSessions_);
+        }
+
+        const id = crypto.randomUUID();
+        const parser = new DashMpdParser();
+        parser.configure(PlayerConfiguration.createDefault().manifest);
+
+        /** @type {SessionManager.Session} */
+        const session = {
+            id,
+            key,
+            uri,
+            parser,
+            createdAt: Date.now(),
+            lastAccess: Date.now(),
+            lastUpdate: null,
+            lastError: null,
+            ready: null,
+        };
+
+        // Reserve the slot before the first fetch, so concurrent requests for
+        // the same manifest share one session.
+        this.sessions_.set(id, session);
+        this.idsByKey_.set(key, id);
+
+        session.ready = this.start_(session, baseUrl, requestHeader, proxy);
+        await session.ready;
+
+        return {session, created: true};
+    }
+
+    /**
+     * Fetches the session's manifest for the first time.
+     *
+     * @param {SessionManager.Session} session
+     * @param {string} baseUrl
+     * @param {Object.<string, string>} requestHeader
+     * @param {?string} proxy
+     * @return {!Promise}
+     * @private
+     */
+    async start_(session, baseUrl, requestHeader, proxy) {
+        const id = session.id;
+        const playerInterface = {
+            onManifestUpdated: () => {
+                session.lastUpdate = Date.now();
+                session.lastError = null;
+            },
+            onError: (err) => {
+                logger.warn(`Session ${id}: manifest update failed: ${err.message}`);
+                session.lastError = err.message;
+            },
+        };
+
+        try {
+            await session.parser.start(
+                session.uri, baseUrl, requestHeader, proxy, playerInterface);
+        } catch (err) {
+            this.close(id);
+            throw err;
+        }
+
+        logger.info(`Opened session ${id} for ${session.uri}`);
+        this.evictTimer_.tickEvery(/* seconds= */ Math.max(1, this.ttl_ / 2));
+    }
+
+    /**
+     * Returns the session and marks it as used, or null if there is none.
+     *
+     * @param {?string} id
+     * @return {?SessionManager.Session}
+     */
+    get(id) {
+        const session = id ? this.sessions_.get(id) : null;
+        if (!session) {
+            return null;
+        }
+        session.lastAccess = Date.now();
+        return session;
+    }
+
+    /**
+     * Stops the session's parser and forgets the session.
+     *
+     * @param {string} id
+     * @return {boolean} False if there was no such session.
+     */
+    close(id) {
+        const session = this.sessions_.get(id);
+        if (!session) {
+            return false;
+        }
+
+        this.sessions_.delete(id);
+        this.idsByKey_.delete(session.key);
+        session.parser.stop();
+
+        if (!this.sessions_.size) {
+            this.evictTimer_.stop();
+        }
+
+        logger.info(`Closed session ${id}`);
+        return true;
+    }
+
+    /**
+     * Closes the sessions which have been idle for longer than the TTL.
+     *
+     * @private
+     */
+    evictExpired_() {
+        const oldest = Date.now() - this.ttl_ * 1000;
+        for (const session of Array.from(this.sessions_.values())) {
+            // Sessions still opening have no manifest yet and are never idle.
+            if (session.parser.manifest_ && session.lastAccess < oldest) {
+                logger.info(`Session ${session.id} expired`);
+                this.close(session.id);
+            }
+        }
+    }
+};
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   key: string,
+ *   uri: string,
+ *   parser: !DashMpdParser,
+ *   createdAt: number,
+ *   lastAccess: number,
+ *   lastUpdate: ?number,
+ *   lastError: ?string,
+ *   ready: Promise
+ * }}
+ */
+SessionManager.Session;
+
+module.exports = SessionManager;
@@ -0,0 +1,637 @@
+const logger = require('../util/logger');
+const xml_utils = require('../util/xml_utils');
+const ManifestParserUtils = require('../util/manifest_parser_utils');
+const StringUtils = require('../util/string_utils');
+const Pssh = require('../util/pssh');
+const PlayReady = require('../util/playready');
+const ParserError = require('../util/parser_error');
+
+/**
+ * @summary A set of functions for parsing and interpreting ContentProtection
+ *   elements.
+ */
+class ContentProtection {
+  /**
+   * Parses info from the ContentProtection elements at the AdaptationSet level.
+   *
+   * @param {!Array.<!shaka.extern.xml.Node>} elems
+   * @param {boolean} ignoreDrmInfo
+   * @param {!Object.<string, string>} keySystemsByURI
+   * @return {ContentProtection.Context}
+   */
+  static parseFromAdaptationSet(elems, ignoreDrmInfo, keySystemsByURI) {
+    const parsed = ContentProtection.parseElements_(elems);
+    /** @type {Array.<shaka.extern.InitDataOverride>} */
+    let defaultInit = null;
+    /** @type {!Array.<shaka.extern.DrmInfo>} */
+    let drmInfos = [];
+    let parsedNonCenc = [];
+    /** @type {?ContentProtection.Aes128Info} */
+    let aes128Info = null;
+
+    // Get the default key ID; if there are multiple, they must all match.
+    const keyIds = new Set(parsed.map((element) => element.keyId));
+    // Remove any possible null value (elements may have no key ids).
+    keyIds.delete(null);
+    if (keyIds.size > 1) {
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MANIFEST,
+          ParserError.Code.DASH_CONFLICTING_KEY_IDS);
+    }
+
+    if (!ignoreDrmInfo) {
+      const aes128Elements = parsed.filter((elem) => {
+        return elem.schemeUri == ContentProtection.Aes128Protection_;
+      });
+
+      if (aes128Elements.length > 1) {
+        throw new ParserError(
+            ParserError.Severity.CRITICAL,
+            ParserError.Category.MANIFEST,
+            ParserError.Code.DASH_MULTIPLE_AES_128_PROTECTION);
+      }
+
+      if (aes128Elements.length) {
+        aes128Info = ContentProtection.parseAes128_(aes128Elements[0]);
+      }
+
+      const mp4ProtectionParsed = parsed.find((elem) => {
+        return elem.schemeUri == ContentProtection.MP4Protection_;
+      });
+
+      // Find the default key ID and init data.  Create a new array of all the
+      // non-CENC elements.
+      parsedNonCenc = parsed.filter((elem) => {
+        if (elem.schemeUri == ContentProtection.MP4Protection_) {
+          // CENC elements don't have init data, but should be the only
+          // ones with a default key ID.  Add all the init data from the
+          // other ContentProtection elements as default init data.
+          defaultInit = defaultInit || elem.init;
+          return false;
+        } else {
+          return elem.schemeUri != ContentProtection.Aes128Protection_;
+        }
+      });
+
+      if (parsedNonCenc.length) {
+        drmInfos = ContentProtection.convertElements_(
+            defaultInit, mp4ProtectionParsed, parsedNonCenc, keySystemsByURI,
+            keyIds);
+
+        // If there are no drmInfos after parsing, then add a dummy entry.
+        // This may be removed in parseKeyIds.
+        if (drmInfos.length == 0) {
+          drmInfos = [ManifestParserUtils.createDrmInfo(
+              '', mp4ProtectionParsed ? mp4ProtectionParsed.encryptionScheme :
+                  'cenc', defaultInit)];
+        }
+      }
+    }
+
+    // If there are only CENC element(s) or ignoreDrmInfo flag is set, assume
+    // all key-systems are supported.
+    if (parsed.length && !aes128Info &&
+        (ignoreDrmInfo || !parsedNonCenc.length)) {
+      drmInfos = [];
+
+      for (const keySystem of Object.values(keySystemsByURI)) {
+        // If the manifest doesn't specify any key systems, we shouldn't
+        // put clearkey in this list.  Otherwise, it may be triggered when
+        // a real key system should be used instead.
+        if (keySystem != 'org.w3.clearkey') {
+          const info = ManifestParserUtils.createDrmInfo(
+              keySystem, 'cenc', defaultInit);
+          drmInfos.push(info);
+        }
+      }
+    }
+
+    // If we have a default key id, apply it to every initData.
+    const defaultKeyId = Array.from(keyIds)[0] || null;
+
+    if (defaultKeyId) {
+      for (const info of drmInfos) {
+        for (const initData of info.initData) {
+          initData.keyId = defaultKeyId;
+        }
+      }
+    }
+
+    return {
+      defaultKeyId: defaultKeyId,
+      defaultInit: defaultInit,
+      drmInfos: drmInfos,
+      aes128Info: aes128Info,
+      firstRepresentation: true,
+    };
+  }
+
+  /**
+   * Parses the given ContentProtection elements found at the Representation
+   * level.  This may update the |context|.
+   *
+   * @param {!Array.<!shaka.extern.xml.Node>} elems
+   * @param {ContentProtection.Context} context
+   * @param {boolean} ignoreDrmInfo
+   * @param {!Object.<string, string>} keySystemsByURI
+   * @return {?string} The parsed key ID
+   */
+  static parseFromRepresentation(
+      elems, context, ignoreDrmInfo, keySystemsByURI) {
+    const repContext = ContentProtection.parseFromAdaptationSet(
+        elems, ignoreDrmInfo, keySystemsByURI);
+
+    if (context.firstRepresentation) {
+      const asUnknown = context.drmInfos.length == 1 &&
+          !context.drmInfos[0].keySystem;
+      const asUnencrypted = context.drmInfos.length == 0;
+      const repUnencrypted = repContext.drmInfos.length == 0;
+
+      // There are two cases where we need to replace the |drmInfos| in the
+      // context with those in the Representation:
+      //   1. The AdaptationSet does not list any ContentProtection.
+      //   2. The AdaptationSet only lists unknown key-systems.
+      if (asUnencrypted || (asUnknown && !repUnencrypted)) {
+        context.drmInfos = repContext.drmInfos;
+      }
+      context.firstRepresentation = false;
+    } else if (repContext.drmInfos.length > 0) {
+      // If this is not the first Representation, then we need to remove entries
+      // from the context that do not appear in this Representation.
+      context.drmInfos = context.drmInfos.filter((asInfo) => {
+        return repContext.drmInfos.some((repInfo) => {
+          return repInfo.keySystem == asInfo.keySystem;
+        });
+      });
+      // If we have filtered out all key-systems, throw an error.
+      if (context.drmInfos.length == 0) {
+        throw new ParserError(
+            ParserError.Severity.CRITICAL,
+            ParserError.Category.MANIFEST,
+            ParserError.Code.DASH_NO_COMMON_KEY_SYSTEM);
+      }
+    }
+
+    return repContext.defaultKeyId || context.defaultKeyId;
+  }
+
+  /**
+   * Gets a Widevine license URL from a content protection element
+   * containing a custom `ms:laurl` or 'dashif:Laurl' element
+   *
+   * @param {ContentProtection.Element} element
+   * @return {string}
+   */
+  static getWidevineLicenseUrl(element) {
+    const dashIfLaurlNode = xml_utils.findChildNS(
+        element.node, ContentProtection.DashIfNamespaceUri_, 'Laurl');
+    if (dashIfLaurlNode) {
+      const textContents = xml_utils.getTextContents(dashIfLaurlNode);
+      if (textContents) {
+        return textContents;
+      }
+    }
+
+    const mslaurlNode = xml_utils.findChildNS(
+        element.node, 'urn:microsoft', 'laurl');
+    if (mslaurlNode) {
+      return StringUtils.htmlUnescape(
+          mslaurlNode.attributes['licenseUrl'] || '');
+    }
+    return '';
+  }
+
+  /**
+   * Gets a ClearKey license URL from a content protection element
+   * containing a custom `clearkey::Laurl` or 'dashif:Laurl' element
+   *
+   * @param {ContentProtection.Element} element
+   * @return {string}
+   */
+  static getClearKeyLicenseUrl(element) {
+    const dashIfLaurlNode = xml_utils.findChildNS(
+        element.node, ContentProtection.DashIfNamespaceUri_, 'Laurl');
+    if (dashIfLaurlNode) {
+      const textContents = xml_utils.getTextContents(dashIfLaurlNode);
+      if (textContents) {
+        return textContents;
+      }
+    }
+
+    const clearKeyLaurlNode = xml_utils.findChildNS(
+        element.node, ContentProtection.ClearKeyNamespaceUri_, 'Laurl');
+    if (clearKeyLaurlNode &&
+        clearKeyLaurlNode.attributes['Lic_type'] === 'EME-1.0') {
+      const textContents = xml_utils.getTextContents(clearKeyLaurlNode);
+      if (textContents) {
+        return textContents;
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Gets a PlayReady license URL from a content protection element
+   * containing a PlayReady Header Object
+   *
+   * @param {ContentProtection.Element} element
+   * @return {string}
+   */
+  static getPlayReadyLicenseUrl(element) {
+    const dashIfLaurlNode = xml_utils.findChildNS(
+        element.node, ContentProtection.DashIfNamespaceUri_, 'Laurl');
+    if (dashIfLaurlNode) {
+      const textContents = xml_utils.getTextContents(dashIfLaurlNode);
+      if (textContents) {
+        return textContents;
+      }
+    }
+
+    const proNode = xml_utils.findChildNS(
+        element.node, 'urn:microsoft:playready', 'pro');
+
+    if (!proNode || !xml_utils.getTextContents(proNode)) {
+      return '';
+    }
+
+    const textContent =
+    /** @type {string} */ (xml_utils.getTextContents(proNode));
+    const bytes = new Uint8Array(Buffer.from(textContent, 'base64'));
+    const header = PlayReady.parseProHeader(bytes);
+    return header ? header.laUrl : '';
+  }
+
+  /**
+   * Gets a PlayReady initData from a content protection element
+   * containing a PlayReady Pro Object
+   *
+   * @param {ContentProtection.Element} element
+   * @return {?Array.<shaka.extern.InitDataOverride>}
+   * @private
+   */
+  static getInitDataFromPro_(element) {
+    const proNode = xml_utils.findChildNS(
+        element.node, 'urn:microsoft:playready', 'pro');
+    if (!proNode || !xml_utils.getTextContents(proNode)) {
+      return null;
+    }
+    const textContent =
+    /** @type {string} */ (xml_utils.getTextContents(proNode));
+    const data = new Uint8Array(Buffer.from(textContent, 'base64'));
+    const systemId = new Uint8Array([
+      0x9a, 0x04, 0xf0, 0x79, 0x98, 0x40, 0x42, 0x86,
+      0xab, 0x92, 0xe6, 0x5b, 0xe0, 0x88, 0x5f, 0x95,
+    ]);
+    const keyIds = new Set();
+    const psshVersion = 0;
+    const pssh = Pssh.createPssh(data, systemId, keyIds, psshVersion);
+    return [
+      {
+        initData: pssh,
+        initDataType: 'cenc',
+        keyId: element.keyId,
+      },
+    ];
+  }
+
+  /**
+   * Creates ClearKey initData from Default_KID value retrieved from previously
+   * parsed ContentProtection tag.
+   * @param {ContentProtection.Element} element
+   * @param {!Set.<string>} keyIds
+   * @return {?Array.<shaka.extern.InitDataOverride>}
+   * @private
+   */
+  static getInitDataClearKey_(element, keyIds) {
+    if (keyIds.size == 0) {
+      return null;
+    }
+
+    const systemId = new Uint8Array([
+      0x10, 0x77, 0xef, 0xec, 0xc0, 0xb2, 0x4d, 0x02,
+      0xac, 0xe3, 0x3c, 0x1e, 0x52, 0xe2, 0xfb, 0x4b,
+    ]);
+    const data = new Uint8Array([]);
+    const psshVersion = 1;
+    const pssh = Pssh.createPssh(data, systemId, keyIds, psshVersion);
+
+    return [
+      {
+        initData: pssh,
+        initDataType: 'cenc',
+        keyId: element.keyId,
+      },
+    ];
+  }
+
+  /**
+   * Creates DrmInfo objects from the given element.
+   *
+   * @param {Array.<shaka.extern.InitDataOverride>} defaultInit
+   * @param {?ContentProtection.Element} mp4ProtectionParsed
+   * @param {!Array.<ContentProtection.Element>} elements
+   * @param {!Object.<string, string>} keySystemsByURI
+   * @param {!Set.<string>} keyIds
+   * @return {!Array.<shaka.extern.DrmInfo>}
+   * @private
+   */
+  static convertElements_(defaultInit, mp4ProtectionParsed, elements,
+      keySystemsByURI, keyIds) {
+    const licenseUrlParsers = ContentProtection.licenseUrlParsers_;
+
+    /** @type {!Array.<shaka.extern.DrmInfo>} */
+    const out = [];
+
+    for (const element of elements) {
+      const keySystem = keySystemsByURI[element.schemeUri];
+      if (keySystem) {
+        let proInitData = null;
+        if (keySystem == 'com.microsoft.playready') {
+          proInitData = ContentProtection.getInitDataFromPro_(element);
+        }
+        let clearKeyInitData = null;
+        if (element.schemeUri ===
+            'urn:uuid:e2719d58-a985-b3c9-781a-b030af78d30e') {
+          clearKeyInitData =
+              ContentProtection.getInitDataClearKey_(element, keyIds);
+        }
+
+        const initData = element.init || defaultInit || proInitData ||
+            clearKeyInitData;
+        const info = ManifestParserUtils.createDrmInfo(
+            keySystem,
+            mp4ProtectionParsed ? mp4ProtectionParsed.encryptionScheme : 'cenc',
+            initData);
+
+        const licenseParser = licenseUrlParsers.get(keySystem);
+        if (licenseParser) {
+          info.licenseServerUri = licenseParser(element);
+        }
+
+        // The robustness applies to whatever the stream carrying this element
+        // is; the type of the stream tells which of the two is meant.
+        if (element.robustness) {
+          info.audioRobustness = element.robustness;
+          info.videoRobustness = element.robustness;
+        }
+
+        out.push(info);
+      }
+    }
+
+    return out;
+  }
+
+  /**
+   * Parses the given ContentProtection elements.  If there is an error, it
+   * removes those elements.
+   *
+   * @param {!Array.<!shaka.extern.xml.Node>} elems
+   * @return {!Array.<ContentProtection.Element>}
+   * @private
+   */
+  static parseElements_(elems) {
+    /** @type {!Array.<ContentProtection.Element>} */
+    const out = [];
+
+    for (const elem of elems) {
+      const parsed = ContentProtection.parseElement_(elem);
+      if (parsed) {
+        out.push(parsed);
+      }
+    }
+
+    return out;
+  }
+
+  /**
+   * Parses the given ContentProtection element.
+   *
+   * @param {!shaka.extern.xml.Node} elem
+   * @return {?ContentProtection.Element}
+   * @private
+   */
+  static parseElement_(elem) {
+    const NS = ContentProtection.CencNamespaceUri_;
+
+    /** @type {?string} */
+    let schemeUri = elem.attributes['schemeIdUri'];
+    /** @type {?string} */
+    let keyId = xml_utils.getAttributeNS(elem, NS, 'default_KID');
+    /** @type {!Array.<string>} */
+    const psshs = xml_utils.findChildrenNS(elem, NS, 'pssh')
+        .map(xml_utils.getContents);
+
+    const encryptionScheme = elem.attributes['value'];
+    const robustness = elem.attributes['robustness'];
+
+    if (!schemeUri) {
+      logger.error('Missing required schemeIdUri attribute on',
+          'ContentProtection element', elem);
+      return null;
+    }
+
+    schemeUri = schemeUri.toLowerCase();
+    if (keyId) {
+      keyId = keyId.replace(/-/g, '').toLowerCase();
+      if (keyId.includes(' ')) {
+        throw new ParserError(
+            ParserError.Severity.CRITICAL,
+            ParserError.Category.MANIFEST,
+            ParserError.Code.DASH_MULTIPLE_KEY_IDS_NOT_SUPPORTED);
+      }
+    }
+
+    /** @type {!Array.<shaka.extern.InitDataOverride>} */
+    let init = [];
+    try {
+      // Try parsing PSSH data.
+      init = psshs.map((pssh) => {
+        return {
+          initDataType: 'cenc',
+          initData: new Uint8Array(Buffer.from(pssh, 'base64')),
+          keyId: null,
+        };
+      });
+    } catch (e) {
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MANIFEST,
+          ParserError.Code.DASH_PSSH_BAD_ENCODING);
+    }
+
+    return {
+      node: elem,
+      schemeUri,
+      keyId,
+      init: (init.length > 0 ? init : null),
+      encryptionScheme,
+      robustness: robustness || '',
+    };
+  }
+
+  /**
+   * Parses the AES-128 ContentProtection element.
+   *
+   * @param {ContentProtection.Element} element
+   * @return {?ContentProtection.Aes128Info}
+   * @private
+   */
+  static parseAes128_(element) {
+    const cryptoPeriod = xml_utils.findChildNS(
+        element.node, ContentProtection.SeaNamespaceUri_, 'CryptoPeriod');
+    const segmentEncryption = xml_utils.findChildNS(
+        element.node, ContentProtection.SeaNamespaceUri_,
+        'SegmentEncryption');
+
+    if (!cryptoPeriod || !segmentEncryption) {
+      logger.warn('AES-128 ContentProtection without CryptoPeriod or',
+          'SegmentEncryption is not supported');
+      return null;
+    }
+
+    const keyUri = cryptoPeriod.attributes['keyUriTemplate'];
+    const ivHex = cryptoPeriod.attributes['IV'];
+    if (!keyUri || !ivHex) {
+      logger.warn('AES-128 CryptoPeriod without keyUriTemplate or IV');
+      return null;
+    }
+
+    return {
+      keyUri: StringUtils.htmlUnescape(keyUri),
+      iv: new Uint8Array(Buffer.from(ivHex.replace(/^0x/i, ''), 'hex')),
+    };
+  }
+};
+
+
+/**
+ * @typedef {{
+ *   defaultKeyId: ?string,
+ *   defaultInit: Array.<shaka.extern.InitDataOverride>,
+ *   drmInfos: !Array.<shaka.extern.DrmInfo>,
+ *   aes128Info: ?ContentProtection.Aes128Info,
+ *   firstRepresentation: boolean
+ * }}
+ *
+ * @description
+ * Contains information about the ContentProtection elements found at the
+ * AdaptationSet level.
+ *
+ * @property {?string} defaultKeyId
+ *   The default key ID to use.  This is used by parseKeyIds as a default.  This
+ *   can be null to indicate that there is no default.
+ * @property {Array.<shaka.extern.InitDataOverride>} defaultInit
+ *   The default init data override.  This can be null to indicate that there
+ *   is no default.
+ * @property {!Array.<shaka.extern.DrmInfo>} drmInfos
+ *   The DrmInfo objects.
+ * @property {?ContentProtection.Aes128Info} aes128Info
+ *   The AES-128 key info, if the content is protected with the sea scheme.
+ * @property {boolean} firstRepresentation
+ *   True when first parsed; changed to false after the first call to
+ *   parseKeyIds.  This is used to determine if a dummy key-system should be
+ *   overwritten; namely that the first representation can replace the dummy
+ *   from the AdaptationSet.
+ */
+ContentProtection.Context;
+
+/**
+ * @typedef {{
+ *   node: !shaka.extern.xml.Node,
+ *   schemeUri: string,
+ *   keyId: ?string,
+ *   init: Array.<shaka.extern.InitDataOverride>,
+ *   encryptionScheme: ?string,
+ *   robustness: string
+ * }}
+ *
+ * @description
+ * The parsed result of a single ContentProtection element.
+ *
+ * @property {!shaka.extern.xml.Node} node
+ *   The ContentProtection XML element.
+ * @property {string} schemeUri
+ *   The scheme URI.
+ * @property {?string} keyId
+ *   The default key ID, if present.
+ * @property {Array.<shaka.extern.InitDataOverride>} init
+ *   The init data, if present.  If there is no init data, it will be null.  If
+ *   this is non-null, there is at least one element.
+ * @property {?string} encryptionScheme
+ *   The encryption scheme, if present.
+ * @property {string} robustness
+ *   The @robustness attribute, or an empty string.
+ */
+ContentProtection.Element;
+
+/**
+ * @typedef {{
+ *   keyUri: string,
+ *   iv: !Uint8Array
+ * }}
+ *
+ * @description
+ * The key location and IV of AES-128 (sea:2012) protected content.
+ */
+ContentProtection.Aes128Info;
+
+/**
+ * A map of key system name to license server url parser.
+ *
+ * @const {!Map.<string, function(ContentProtection.Element)>}
+ * @private
+ */
+ContentProtection.licenseUrlParsers_ = new Map()
+    .set('com.widevine.alpha',
+        ContentProtection.getWidevineLicenseUrl)
+    .set('com.microsoft.playready',
+        ContentProtection.getPlayReadyLicenseUrl)
+    .set('com.microsoft.playready.recommendation',
+        ContentProtection.getPlayReadyLicenseUrl)
+    .set('com.microsoft.playready.software',
+        ContentProtection.getPlayReadyLicenseUrl)
+    .set('com.microsoft.playready.hardware',
+        ContentProtection.getPlayReadyLicenseUrl)
+    .set('org.w3.clearkey',
+        ContentProtection.getClearKeyLicenseUrl);
+
+/**
+ * @const {string}
+ * @private
+ */
+ContentProtection.MP4Protection_ = 'urn:mpeg:dash:mp4protection:2011';
+
+/**
+ * @const {string}
+ * @private
+ */
+ContentProtection.Aes128Protection_ = 'urn:mpeg:dash:sea:2012';
+
+/**
+ * @const {string}
+ * @private
+ */
+ContentProtection.CencNamespaceUri_ = 'urn:mpeg:cenc:2013';
+
+/**
+ * @const {string}
+ * @private
+ */
+ContentProtection.ClearKeyNamespaceUri_ =
+    'http://dashif.org/guidelines/clearKey';
+
+/**
+ * @const {string}
+ * @private
+ */
+ContentProtection.DashIfNamespaceUri_ = 'https://dashif.org/CPS';
+
+/**
+ * @const {string}
+ * @private
+ */
+ContentProtection.SeaNamespaceUri_ = 'urn:mpeg:dash:schema:sea:2012';
+
+module.exports = ContentProtection;
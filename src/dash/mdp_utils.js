@@ -3,8 +3,8 @@ const ManifestParserUtils = require('../util/manifest_parser_utils');
 const logger = require('../util/logger');
 const Functional = require('../util/functional');
 const xml_utils = require('../util/xml_utils');
-const AbortableOperation = require('../util/abortable_operation');
 const { time } = require('console');
+const ParserError = require('../util/parser_error');
 
 
 /**
@@ -42,6 +42,87 @@ class MpdUtils {
 
 
     static XlinkNamespaceUri_ = 'http://www.w3.org/1999/xlink';
+
+    /**
+     * How many xlinks may be followed from within a linked element.
+     * @const {number}
+     */
+    static MAX_XLINK_DEPTH = 5;
+
+    static DvbNamespaceUri_ = 'urn:dvb:dash:dash-extensions:2014-1';
+
+    /**
+     * Orders BaseURL elements the way DVB-DASH (ETSI TS 103 285, 10.8.2.1)
+     * picks between them: by dvb:priority, lowest first, then at random
+     * within each priority, each BaseURL as likely to come first as its
+     * dvb:weight is of the weights left, so downloaders are spread over the
+     * origins.  A serviceLocation is dropped as a whole when one of its
+     * BaseURLs fails, so one BaseURL of every location comes before a second
+     * one of any location with the same priority.
+     *
+     * @param {!Array.<!shaka.extern.xml.Node>} uriObjs
+     * @param {function():number=} random Returns a number in [0, 1), like
+     *   Math.random.
+     * @return {!Array.<!shaka.extern.xml.Node>} An ordered copy.
+     */
+    static orderBaseUrls(uriObjs, random = Math.random) {
+        const NS = MpdUtils.DvbNamespaceUri_;
+        const parseAttr = (uriObj, name, defaultValue) => {
+            const value = xml_utils.getAttributeNS(uriObj, NS, name);
+            const parsed = value != null ?
+                xml_utils.parseNonNegativeInt(value) : null;
+            return parsed != null ? parsed : defaultValue;
+        };
+        const remaining = uriObjs.map((uriObj) => {
+            return {
+                uriObj,
+                // The DVB-DASH defaults.
+                priority: parseAttr(uriObj, 'priority', 1),
+                weight: parseAttr(uriObj, 'weight', 1),
+                occurrence: 0,
+                index: 0,
+            };
+        });
+
+        // Draws the BaseURLs one by one, among those of the best priority
+        // left.  BaseURLs weighing 0 only come once the others are drawn.
+        const entries = [];
+        while (remaining.length) {
+            const priority = Math.min(...remaining.map((entry) => entry.priority));
+            let candidates = remaining.filter((entry) => {
+                return entry.priority == priority && entry.weight > 0;
+            });
+            if (!candidates.length) {
+                candidates = remaining.filter((entry) => entry.priority == priority);
+            }
+            const total = candidates.reduce((sum, entry) => sum + entry.weight, 0);
+            let chosen = candidates[candidates.length - 1];
+            if (total > 0) {
+                let draw = random() * total;
+                chosen = candidates.find((entry) => (draw -= entry.weight) < 0) || chosen;
+            } else {
+                chosen = candidates[Math.floor(random() * candidates.length)] || chosen;
+            }
+            remaining.splice(remaining.indexOf(chosen), 1);
+            entries.push(chosen);
+        }
+
+        // Then the first BaseURL drawn of each location comes first.
+        const occurrences = new Map();
+        entries.forEach((entry, position) => {
+            const serviceLocation = entry.uriObj.attributes['serviceLocation'];
+            if (serviceLocation) {
+                entry.occurrence = occurrences.get(serviceLocation) || 0;
+                occurrences.set(serviceLocation, entry.occurrence + 1);
+            }
+            entry.index = position;
+        });
+        return entries.sort((a, b) => {
+            return a.priority - b.priority || a.occurrence - b.occurrence ||
+                a.index - b.index;
+        }).map((entry) => entry.uriObj);
+    }
+
     /**
      * Fills a SegmentTemplate URI template.  This function does not validate the
      * resulting URI.
@@ -404,172 +485,155 @@ class MpdUtils {
         return result;
     }
 
-    // /**
-    //  * Follow the xlink link contained in the given element.
-    //  * It also strips the xlink properties off of the element,
-    //  * even if the process fails.
-    //  *
-    //  * @param {!shaka.extern.xml.Node} element
-    //  * @param {!shaka.extern.RetryParameters} retryParameters
-    //  * @param {boolean} failGracefully
-    //  * @param {string} baseUri
-    //  * @param {!shaka.net.NetworkingEngine} networkingEngine
-    //  * @param {number} linkDepth
-    //  * @return {!shaka.util.AbortableOperation.<!shaka.extern.xml.Node>}
-    //  * @private
-    //  */
-    // static handleXlinkInElement_(
-    //     element, retryParameters, failGracefully, baseUri, networkingEngine,
-    //     linkDepth) {
-    //     const NS = this.XlinkNamespaceUri_;
-
-    //     const xlinkHref = xml_utils.getAttributeNS(element, NS, 'href');
-    //     const xlinkActuate =
-    //         xml_utils.getAttributeNS(element, NS, 'actuate') || 'onRequest';
-
-    //     // Remove the xlink properties, so it won't download again
-    //     // when re-processed.
-    //     for (const key of Object.keys(element.attributes)) {
-    //         const segs = key.split(':');
-    //         const namespace = xml_utils.getKnownNameSpace(NS);
-    //         if (segs[0] == namespace) {
-    //             delete element.attributes[key];
-    //         }
-    //     }
-
-    //     if (linkDepth >= 5) {
-    //         return AbortableOperation.failed(new Error("Dash Xlink depth limit"));
-    //     }
-
-    //     if (xlinkActuate != 'onLoad') {
-    //         // Only xlink:actuate="onLoad" is supported.
-    //         // When no value is specified, the assumed value is "onRequest".
-    //         return AbortableOperation.failed(new Error("DASH_UNSUPPORTED_XLINK_ACTUATE"));
-    //     }
-
-    //     // Resolve the xlink href, in case it's a relative URL.
-    //     const uris = ManifestParserUtils.resolveUris([baseUri], [xlinkHref]);
-
-    //     // Load in the linked elements.
-    //     const requestType = shaka.net.NetworkingEngine.RequestType.MANIFEST;
-    //     const request =
-    //         shaka.net.NetworkingEngine.makeRequest(uris, retryParameters);
-
-    //     const requestOperation = networkingEngine.request(requestType, request);
-    //     // The interface is abstract, but we know it was implemented with the
-    //     // more capable internal class.
-    //     assert(
-    //         requestOperation instanceof shaka.util.AbortableOperation,
-    //         'Unexpected implementation of IAbortableOperation!');
-    //     // Satisfy the compiler with a cast.
-    //     const networkOperation =
-    // /** @type {!shaka.util.AbortableOperation.<shaka.extern.Response>} */ (
-    //             requestOperation);
-
-    //     // Chain onto that operation.
-    //     return networkOperation.chain(
-    //         (response) => {
-    //             // This only supports the case where the loaded xml has a single
-    //             // top-level element.  If there are multiple roots, it will be
-    //             // rejected.
-    //             const rootElem =
-    //                 xml_utils.parseXml(response.data, element.tagName);
-    //             if (!rootElem) {
-    //                 // It was not valid XML.
-    //                 return shaka.util.AbortableOperation.failed(new Error(
-    //                     Error.Severity.CRITICAL, Error.Category.MANIFEST,
-    //                     Error.Code.DASH_INVALID_XML, xlinkHref));
-    //             }
-
-    //             // Now that there is no other possibility of the process erroring,
-    //             // the element can be changed further.
-
-    //             // Remove the current contents of the node.
-    //             element.children = [];
-
-    //             // Move the children of the loaded xml into the current element.
-    //             while (rootElem.children.length) {
-    //                 const child = rootElem.children.shift();
-    //                 if (xml_utils.isNode(child)) {
-    //                     child.parent = element;
-    //                 }
-    //                 element.children.push(child);
-    //             }
-
-    //             // Move the attributes of the loaded xml into the current element.
-    //             for (const key of Object.keys(rootElem.attributes)) {
-    //                 element.attributes[key] = rootElem.attributes[key];
-    //             }
-
-    //             return shaka.dash.MpdUtils.processXlinks(
-    //                 element, retryParameters, failGracefully, uris[0],
-    //                 networkingEngine, linkDepth + 1);
-    //         });
-    // }
-
-    // /**
-    //  * Filter the contents of a node recursively, replacing xlink links
-    //  * with their associated online data.
-    //  *
-    //  * @param {!shaka.extern.xml.Node} element
-    //  * @param {!shaka.extern.RetryParameters} retryParameters
-    //  * @param {boolean} failGracefully
-    //  * @param {string} baseUri
-    //  * @param {!shaka.net.NetworkingEngine} networkingEngine
-    //  * @param {number=} linkDepth, default set to 0
-    //  * @return {!shaka.util.AbortableOperation.<!shaka.extern.xml.Node>}
-    //  */
-    // static processXlinks(
-    //     element, retryParameters,
-    //     failGracefully, baseUri, networkingEngine,
-    //     linkDepth = 0) {
-    //     const MpdUtils = shaka.dash.MpdUtils;
-    //     const xml_utils = shaka.util.xml_utils;
-    //     const NS = MpdUtils.XlinkNamespaceUri_;
-
-    //     if (xml_utils.getAttributeNS(element, NS, 'href')) {
-    //         let handled = MpdUtils.handleXlinkInElement_(
-    //             element, retryParameters, failGracefully,
-    //             baseUri, networkingEngine, linkDepth);
-    //         if (failGracefully) {
-    //             // Catch any error and go on.
-    //             handled = handled.chain(undefined, (error) => {
-    //                 // handleXlinkInElement_ strips the xlink properties off of the
-    //                 // element even if it fails, so calling processXlinks again will
-    //                 // handle whatever contents the element natively has.
-    //                 return MpdUtils.processXlinks(
-    //                     element, retryParameters, failGracefully, baseUri,
-    //                     networkingEngine, linkDepth);
-    //             });
-    //         }
-    //         return handled;
-    //     }
-
-    //     const childOperations = [];
-    //     for (const child of shaka.util.xml_utils.getChildNodes(element)) {
-    //         const resolveToZeroString = 'urn:mpeg:dash:resolve-to-zero:2013';
-    //         if (xml_utils.getAttributeNS(child, NS, 'href') == resolveToZeroString) {
-    //             // This is a 'resolve to zero' code; it means the element should
-    //             // be removed, as specified by the mpeg-dash rules for xlink.
-    //             element.children = element.children.filter(
-    //                 (elem) => elem !== child);
-    //         } else if (child.tagName != 'SegmentTimeline') {
-    //             // Don't recurse into a SegmentTimeline since xlink attributes
-    //             // aren't valid in there and looking at each segment can take a long
-    //             // time with larger manifests.
-
-    //             // Replace the child with its processed form.
-    //             childOperations.push(shaka.dash.MpdUtils.processXlinks(
-    //         /** @type {!shaka.extern.xml.Node} */(child),
-    //                 retryParameters, failGracefully,
-    //                 baseUri, networkingEngine, linkDepth));
-    //         }
-    //     }
-
-    //     return shaka.util.AbortableOperation.all(childOperations).chain(() => {
-    //         return element;
-    //     });
-    // }
+    /**
+     * Follow the xlink link contained in the given element.
+     * It also strips the xlink properties off of the element,
+     * even if the process fails.
+     *
+     * @param {!shaka.extern.xml.Node} element
+     * @param {boolean} failGracefully
+     * @param {string} baseUri
+     * @param {function(!Array.<string>):!Promise.<!{data: BufferSource,
+     *   uri: string}>} requestXlink Fetches the first of the given URIs that
+     *   answers.
+     * @param {number} linkDepth
+     * @return {!Promise.<!shaka.extern.xml.Node>}
+     * @private
+     */
+    static async handleXlinkInElement_(
+        element, failGracefully, baseUri, requestXlink, linkDepth) {
+        const NS = MpdUtils.XlinkNamespaceUri_;
+
+        const xlinkHref = xml_utils.getAttributeNS(element, NS, 'href');
+        const xlinkActuate =
+            xml_utils.getAttributeNS(element, NS, 'actuate') || 'onRequest';
+
+        // Remove the xlink properties, so it won't download again
+        // when re-processed.
+        for (const key of Object.keys(element.attributes)) {
+            const segs = key.split(':');
+            const namespace = xml_utils.getKnownNameSpace(NS);
+            if (segs[0] == namespace) {
+                delete element.attributes[key];
+            }
+        }
+
+        if (linkDepth >= MpdUtils.MAX_XLINK_DEPTH) {
+            throw new ParserError(
+                ParserError.Severity.CRITICAL,
+                ParserError.Category.MANIFEST,
+                ParserError.Code.DASH_XLINK_DEPTH_LIMIT);
+        }
+
+        if (xlinkActuate != 'onLoad') {
+            // Only xlink:actuate="onLoad" is supported.
+            // When no value is specified, the assumed value is "onRequest".
+            throw new ParserError(
+                ParserError.Severity.CRITICAL,
+                ParserError.Category.MANIFEST,
+                ParserError.Code.DASH_UNSUPPORTED_XLINK_ACTUATE);
+        }
+
+        // Resolve the xlink href, in case it's a relative URL.
+        const uris = ManifestParserUtils.resolveUris([baseUri], [xlinkHref]);
+
+        // Load in the linked elements.
+        const response = await requestXlink(uris);
+
+        // This only supports the case where the loaded xml has a single
+        // top-level element.  If there are multiple roots, it will be
+        // rejected.
+        const rootElem = xml_utils.parseXml(response.data, element.tagName);
+        if (!rootElem) {
+            // It was not valid XML.
+            logger.error(`Invalid xlink XML from ${xlinkHref}`);
+            throw new ParserError(
+                ParserError.Severity.CRITICAL,
+                ParserError.Category.MANIFEST,
+                ParserError.Code.DASH_INVALID_XML,
+                response.uri);
+        }
+
+        // Now that there is no other possibility of the process erroring,
+        // the element can be changed further.
+
+        // Remove the current contents of the node.
+        element.children = [];
+
+        // Move the children of the loaded xml into the current element.
+        while (rootElem.children.length) {
+            const child = rootElem.children.shift();
+            if (xml_utils.isNode(child)) {
+                child.parent = element;
+            }
+            element.children.push(child);
+        }
+
+        // Move the attributes of the loaded xml into the current element.
+        for (const key of Object.keys(rootElem.attributes)) {
+            element.attributes[key] = rootElem.attributes[key];
+        }
+
+        return MpdUtils.processXlinks(
+            element, failGracefully, response.uri, requestXlink, linkDepth + 1);
+    }
+
+    /**
+     * Filter the contents of a node recursively, replacing xlink links
+     * with their associated online data.
+     *
+     * @param {!shaka.extern.xml.Node} element
+     * @param {boolean} failGracefully
+     * @param {string} baseUri
+     * @param {function(!Array.<string>):!Promise.<!{data: BufferSource,
+     *   uri: string}>} requestXlink
+     * @param {number=} linkDepth, default set to 0
+     * @return {!Promise.<!shaka.extern.xml.Node>}
+     */
+    static async processXlinks(
+        element, failGracefully, baseUri, requestXlink, linkDepth = 0) {
+        const NS = MpdUtils.XlinkNamespaceUri_;
+
+        if (xml_utils.getAttributeNS(element, NS, 'href')) {
+            try {
+                return await MpdUtils.handleXlinkInElement_(
+                    element, failGracefully, baseUri, requestXlink, linkDepth);
+            } catch (error) {
+                if (!failGracefully) {
+                    throw error;
+                }
+                logger.warn(`Ignoring xlink on ${element.tagName}: ` +
+                    error.message);
+                // handleXlinkInElement_ strips the xlink properties off of the
+                // element even if it fails, so calling processXlinks again will
+                // handle whatever contents the element natively has.
+                return MpdUtils.processXlinks(
+                    element, failGracefully, baseUri, requestXlink, linkDepth);
+            }
+        }
+
+        const childOperations = [];
+        for (const child of xml_utils.getChildNodes(element)) {
+            const resolveToZeroString = 'urn:mpeg:dash:resolve-to-zero:2013';
+            if (xml_utils.getAttributeNS(child, NS, 'href') == resolveToZeroString) {
+                // This is a 'resolve to zero' code; it means the element should
+                // be removed, as specified by the mpeg-dash rules for xlink.
+                element.children = element.children.filter(
+                    (elem) => elem !== child);
+            } else if (child.tagName != 'SegmentTimeline') {
+                // Don't recurse into a SegmentTimeline since xlink attributes
+                // aren't valid in there and looking at each segment can take a long
+                // time with larger manifests.
+
+                // Replace the child with its processed form.
+                childOperations.push(MpdUtils.processXlinks(
+                    child, failGracefully, baseUri, requestXlink, linkDepth));
+            }
+        }
+
+        await Promise.all(childOperations);
+        return element;
+    }
 };
 
 module.exports = MpdUtils;
\ No newline at end of file
@@ -0,0 +1,84 @@
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const MpdUtils = require('./mdp_utils');
+const xml_utils = require('../util/xml_utils');
+
+/**
+ * @param {string} baseUrls BaseURL elements.
+ * @return {!Array.<!shaka.extern.xml.Node>}
+ */
+function parseBaseUrls(baseUrls) {
+  const mpd = xml_utils.parseXmlString(
+      '<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" ' +
+      'xmlns:dvb="urn:dvb:dash:dash-extensions:2014-1">' + baseUrls + '</MPD>',
+      'MPD');
+  return xml_utils.findChildren(mpd, 'BaseURL');
+}
+
+/**
+ * @param {!Array.<number>} draws
+ * @return {function():number} Returns the draws in turn.
+ */
+function drawing(draws) {
+  return () => {
+    assert.ok(draws.length, 'drew too many times');
+    return draws.shift();
+  };
+}
+
+/**
+ * @param {!Array.<!shaka.extern.xml.Node>} uriObjs
+ * @param {function():number=} random
+ * @return {!Array.<string>}
+ */
+function order(uriObjs, random) {
+  return MpdUtils.orderBaseUrls(uriObjs, random).map(xml_utils.getContents);
+}
+
+describe('MpdUtils', () => {
+  describe('orderBaseUrls', () => {
+    const weighted = parseBaseUrls(
+        '<BaseURL dvb:priority="2">backup/</BaseURL>' +
+        '<BaseURL dvb:weight="1">a/</BaseURL>' +
+        '<BaseURL dvb:weight="3">b/</BaseURL>');
+
+    it('draws BaseURLs of the same priority by their weight', () => {
+      // 0.2 of a total weight of 4 falls on a/, then b/ is the only one left.
+      assert.deepStrictEqual(order(weighted, drawing([0.2, 0.5, 0.5])),
+          ['a/', 'b/', 'backup/']);
+      // 0.3 of 4 falls past the weight of a/.
+      assert.deepStrictEqual(order(weighted, drawing([0.3, 0.5, 0.5])),
+          ['b/', 'a/', 'backup/']);
+    });
+
+    it('spreads the first BaseURL as the weights say', () => {
+      let b = 0;
+      for (let i = 0; i < 2000; i++) {
+        if (order(weighted)[0] == 'b/') {
+          b++;
+        }
+      }
+      // 1500 expected.
+      assert.ok(b > 1350 && b < 1650, `b/ came first ${b} times`);
+    });
+
+    it('only draws BaseURLs weighing 0 once the others are drawn', () => {
+      const uriObjs = parseBaseUrls(
+          '<BaseURL dvb:weight="0">zero/</BaseURL>' +
+          '<BaseURL>one/</BaseURL>');
+      assert.deepStrictEqual(order(uriObjs, drawing([0.99, 0.99])),
+          ['one/', 'zero/']);
+    });
+
+    it('puts one BaseURL of each serviceLocation first', () => {
+      const uriObjs = parseBaseUrls(
+          '<BaseURL serviceLocation="x" dvb:weight="5">x1/</BaseURL>' +
+          '<BaseURL serviceLocation="x" dvb:weight="5">x2/</BaseURL>' +
+          '<BaseURL serviceLocation="y" dvb:weight="1">y/</BaseURL>');
+      // x1/, x2/ then y/ are drawn; y/ still comes before x2/.
+      assert.deepStrictEqual(order(uriObjs, drawing([0, 0, 0])),
+          ['x1/', 'y/', 'x2/']);
+    });
+  });
+});
@@ -0,0 +1,370 @@
+const StringUtils = require('../util/string_utils');
+const logger = require('../util/logger');
+const xml_utils = require('../util/xml_utils');
+
+/**
+ * @summary Applies MPD Patch documents (urn:mpeg:dash:patch:2020) to the node
+ * tree of a previously fetched MPD, so a live manifest can be updated without
+ * downloading all of it again.
+ *
+ * A Patch is a list of add, replace and remove operations, as in RFC 5261,
+ * each addressing an element or attribute of the MPD with a selector like
+ * /MPD/Period[@id='p1']/AdaptationSet[@id='1']/SegmentTemplate/SegmentTimeline
+ * or /MPD/@publishTime.  Only the XPath subset these use is supported: child
+ * steps, each with any number of [@name='value'] and [position] predicates,
+ * and an optional final attribute step.
+ *
+ * Works on the node tree of xml_utils, whose text and attribute values are
+ * kept escaped; the values taken from the Patch are escaped the same way.
+ */
+class MpdPatch {
+  /**
+   * Applies the Patch to the MPD, in place.  If an operation fails, the MPD
+   * may already have been changed by the previous ones, so callers should
+   * patch a copy they can drop.
+   *
+   * @param {!shaka.extern.xml.Node} mpd
+   * @param {!shaka.extern.xml.Node} patch
+   * @return {number} How many operations were applied.
+   * @throws {Error} if the Patch is not for this MPD, or an operation cannot
+   *   be applied.
+   */
+  static apply(mpd, patch) {
+    if (MpdPatch.localName_(patch.tagName) != 'Patch') {
+      throw new Error(`Expected a Patch, got ${patch.tagName}`);
+    }
+
+    const mpdId = patch.attributes['mpdId'];
+    if (!mpdId || mpdId != mpd.attributes['id']) {
+      throw new Error(`Patch is for MPD ${mpdId}, not ${mpd.attributes['id']}`);
+    }
+
+    // The Patch goes from one publishTime of the MPD to the next; any other
+    // MPD would be patched into something the server never published.
+    const originalPublishTime =
+        xml_utils.parseDate(patch.attributes['originalPublishTime']);
+    const publishTime = xml_utils.parseDate(mpd.attributes['publishTime']);
+    if (originalPublishTime == null || originalPublishTime != publishTime) {
+      throw new Error('Patch is for publishTime ' +
+          `${patch.attributes['originalPublishTime']}, not ` +
+          `${mpd.attributes['publishTime']}`);
+    }
+
+    const operations = xml_utils.getChildNodes(patch);
+    for (const operation of operations) {
+      MpdPatch.applyOperation_(mpd, operation);
+    }
+
+    if (patch.attributes['publishTime']) {
+      mpd.attributes['publishTime'] = patch.attributes['publishTime'];
+    }
+
+    logger.debug(`Applied ${operations.length} patch operations to MPD ` +
+        `${mpdId}`);
+    return operations.length;
+  }
+
+  /**
+   * @param {!shaka.extern.xml.Node} mpd
+   * @param {!shaka.extern.xml.Node} operation
+   * @private
+   */
+  static applyOperation_(mpd, operation) {
+    const sel = operation.attributes['sel'];
+    if (!sel) {
+      throw new Error(`${operation.tagName} has no selector`);
+    }
+    const target = MpdPatch.select_(mpd, StringUtils.htmlUnescape(sel));
+
+    switch (MpdPatch.localName_(operation.tagName)) {
+      case 'add':
+        MpdPatch.add_(target, operation);
+        break;
+      case 'replace':
+        MpdPatch.replace_(target, operation);
+        break;
+      case 'remove':
+        MpdPatch.remove_(target);
+        break;
+      default:
+        throw new Error(`Unsupported patch operation ${operation.tagName}`);
+    }
+  }
+
+  /**
+   * Adds an attribute, with type="@name", or the children of the operation,
+   * at its pos: append (the default), prepend, before or after.
+   *
+   * @param {MpdPatch.Target} target
+   * @param {!shaka.extern.xml.Node} operation
+   * @private
+   */
+  static add_(target, operation) {
+    if (target.attribute) {
+      throw new Error(`Cannot add to attribute ${target.attribute}`);
+    }
+    const element = target.element;
+
+    const type = operation.attributes['type'];
+    if (type) {
+      if (!type.startsWith('@')) {
+        throw new Error(`Unsupported add type ${type}`);
+      }
+      element.attributes[type.substring(1)] = MpdPatch.getText_(operation);
+      return;
+    }
+
+    const pos = operation.attributes['pos'] || 'append';
+    const children = operation.children.slice();
+    let parent = element;
+    let index;
+    if (pos == 'append') {
+      index = element.children.length;
+    } else if (pos == 'prepend') {
+      index = 0;
+    } else if (pos == 'before' || pos == 'after') {
+      parent = MpdPatch.getParent_(element);
+      index = parent.children.indexOf(element) + (pos == 'after' ? 1 : 0);
+    } else {
+      throw new Error(`Unsupported add pos ${pos}`);
+    }
+
+    for (const child of children) {
+      if (xml_utils.isNode(child)) {
+        child.parent = parent;
+      }
+    }
+    parent.children.splice(index, 0, ...children);
+  }
+
+  /**
+   * Replaces an attribute's value with the text of the operation, or an
+   * element with its one child element.
+   *
+   * @param {MpdPatch.Target} target
+   * @param {!shaka.extern.xml.Node} operation
+   * @private
+   */
+  static replace_(target, operation) {
+    const element = target.element;
+    if (target.attribute) {
+      element.attributes[target.attribute] = MpdPatch.getText_(operation);
+      return;
+    }
+
+    const replacements = xml_utils.getChildNodes(operation);
+    if (replacements.length != 1) {
+      throw new Error(`Expected one element to replace ${element.tagName} ` +
+          `with, got ${replacements.length}`);
+    }
+    const parent = MpdPatch.getParent_(element);
+    const replacement = replacements[0];
+    replacement.parent = parent;
+    parent.children[parent.children.indexOf(element)] = replacement;
+    element.parent = null;
+  }
+
+  /**
+   * @param {MpdPatch.Target} target
+   * @private
+   */
+  static remove_(target) {
+    const element = target.element;
+    if (target.attribute) {
+      delete element.attributes[target.attribute];
+      return;
+    }
+
+    const parent = MpdPatch.getParent_(element);
+    parent.children = parent.children.filter((child) => child !== element);
+    element.parent = null;
+  }
+
+  /**
+   * Finds the one element, or attribute, the selector addresses.
+   *
+   * @param {!shaka.extern.xml.Node} mpd
+   * @param {string} sel
+   * @return {MpdPatch.Target}
+   * @private
+   */
+  static select_(mpd, sel) {
+    const selector = MpdPatch.parseSelector_(sel);
+
+    // The first step selects the root element itself.
+    let elements = [mpd];
+    let first = true;
+    for (const step of selector.steps) {
+      let candidates = first ? elements :
+          [].concat(...elements.map(xml_utils.getChildNodes));
+      first = false;
+
+      candidates = candidates.filter((element) => {
+        return step.name == '*' || MpdPatch.localName_(element.tagName) ==
+            MpdPatch.localName_(step.name);
+      });
+      for (const predicate of step.predicates) {
+        if (predicate.position != null) {
+          const element = candidates[predicate.position - 1];
+          candidates = element ? [element] : [];
+        } else {
+          candidates = candidates.filter((element) => {
+            const value = element.attributes[predicate.attribute];
+            return value != null &&
+                StringUtils.htmlUnescape(value) == predicate.value;
+          });
+        }
+      }
+      elements = candidates;
+    }
+
+    if (elements.length != 1) {
+      throw new Error(`${sel} matches ${elements.length} elements`);
+    }
+
+    const element = elements[0];
+    if (selector.attribute && element.attributes[selector.attribute] == null) {
+      throw new Error(`${sel} matches no attribute`);
+    }
+    return {element, attribute: selector.attribute};
+  }
+
+  /**
+   * @param {string} sel e.g. /MPD/Period[@id='1']/AdaptationSet[2]/@lang
+   * @return {{
+   *   steps: !Array.<MpdPatch.Step>,
+   *   attribute: ?string
+   * }}
+   * @private
+   */
+  static parseSelector_(sel) {
+    // Quoted values may contain slashes and brackets, so they are matched
+    // whole.
+    const tokens = sel.match(/'[^']*'|"[^"]*"|[^/[\]'"]+|[/[\]]/g) || [];
+    const steps = [];
+    let attribute = null;
+
+    let i = 0;
+    const next = () => tokens[i++];
+    while (i < tokens.length) {
+      if (next() != '/' || attribute) {
+        throw new Error(`Unsupported selector ${sel}`);
+      }
+      const name = (next() || '').trim();
+      if (name.startsWith('@')) {
+        attribute = name.substring(1);
+        continue;
+      }
+      if (!/^[\w.:-]+$|^\*$/.test(name)) {
+        throw new Error(`Unsupported selector ${sel}`);
+      }
+
+      /** @type {MpdPatch.Step} */
+      const step = {name, predicates: []};
+      while (tokens[i] == '[') {
+        i++;
+        const predicate = MpdPatch.parsePredicate_(tokens, i);
+        if (!predicate || tokens[predicate.end] != ']') {
+          throw new Error(`Unsupported selector ${sel}`);
+        }
+        step.predicates.push(predicate.predicate);
+        i = predicate.end + 1;
+      }
+      steps.push(step);
+    }
+
+    if (!steps.length) {
+      throw new Error(`Unsupported selector ${sel}`);
+    }
+    return {steps, attribute};
+  }
+
+  /**
+   * Parses [@name='value'] or [position], starting after the bracket.
+   *
+   * @param {!Array.<string>} tokens
+   * @param {number} i
+   * @return {?{predicate: MpdPatch.Predicate, end: number}}
+   * @private
+   */
+  static parsePredicate_(tokens, i) {
+    const expression = (tokens[i] || '').trim();
+    if (/^\d+$/.test(expression)) {
+      return {predicate: {position: Number(expression)}, end: i + 1};
+    }
+
+    const match = /^@([\w.:-]+)\s*=$/.exec(expression);
+    const quoted = tokens[i + 1] || '';
+    if (!match || !/^(['"]).*\1$/.test(quoted)) {
+      return null;
+    }
+    return {
+      predicate: {attribute: match[1], value: quoted.slice(1, -1)},
+      end: i + 2,
+    };
+  }
+
+  /**
+   * @param {!shaka.extern.xml.Node} element
+   * @return {!shaka.extern.xml.Node}
+   * @private
+   */
+  static getParent_(element) {
+    if (!element.parent) {
+      throw new Error(`Cannot add next to, replace or remove ${element.tagName}`);
+    }
+    return element.parent;
+  }
+
+  /**
+   * @param {!shaka.extern.xml.Node} operation
+   * @return {string} The text of the operation, still escaped.
+   * @private
+   */
+  static getText_(operation) {
+    return operation.children.filter(xml_utils.isText).join('').trim();
+  }
+
+  /**
+   * @param {string} name e.g. 'p:add' or 'Period'
+   * @return {string} The name without its namespace prefix.
+   * @private
+   */
+  static localName_(name) {
+    return name.substring(name.indexOf(':') + 1);
+  }
+};
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   predicates: !Array.<MpdPatch.Predicate>
+ * }}
+ */
+MpdPatch.Step;
+
+/**
+ * @typedef {{
+ *   attribute: (string|undefined),
+ *   value: (string|undefined),
+ *   position: (number|undefined)
+ * }}
+ *
+ * @description
+ * Either the attribute an element must have, and its value, or the position
+ * of the element among those the step matched, from 1.
+ */
+MpdPatch.Predicate;
+
+/**
+ * @typedef {{
+ *   element: !shaka.extern.xml.Node,
+ *   attribute: ?string
+ * }}
+ *
+ * @property {?string} attribute
+ *   The attribute of the element the selector addresses, if any.
+ */
+MpdPatch.Target;
+
+module.exports = MpdPatch;
@@ -0,0 +1,192 @@
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const MpdPatch = require('./mpd_patch');
+const xml_utils = require('../util/xml_utils');
+
+const MPD = `<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" id="live"
+    type="dynamic" publishTime="2024-01-01T00:00:00Z">
+  <Period id="p&amp;0" start="PT0S">
+    <AdaptationSet id="1" mimeType="video/mp4">
+      <Representation id="v1"/>
+      <Representation id="v2"/>
+    </AdaptationSet>
+    <AdaptationSet id="2" mimeType="audio/mp4" lang="en">
+      <Representation id="a1"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+/**
+ * Patches the MPD above.
+ *
+ * @param {string} operations
+ * @param {string=} attributes Of the Patch element.
+ * @return {!shaka.extern.xml.Node}
+ */
+function patch(operations, attributes) {
+  const mpd = xml_utils.parseXmlString(MPD, 'MPD');
+  const patchNode = xml_utils.parseXmlString(
+      '<Patch xmlns="urn:mpeg:dash:schema:mpd-patch:2020" ' +
+      (attributes != null ? attributes :
+          'mpdId="live" originalPublishTime="2024-01-01T00:00:00Z" ' +
+          'publishTime="2024-01-01T00:00:02Z"') +
+      '>' + operations + '</Patch>', 'Patch');
+  MpdPatch.apply(mpd, patchNode);
+  return mpd;
+}
+
+/**
+ * @param {!shaka.extern.xml.Node} mpd
+ * @param {string} tagName
+ * @return {!Array.<string>} The IDs of the elements, in document order.
+ */
+function ids(mpd, tagName) {
+  return xml_utils.getElementsByTagName(mpd, tagName)
+      .map((element) => element.attributes['id']);
+}
+
+describe('MpdPatch', () => {
+  describe('parseSelector_', () => {
+    it('parses child steps, predicates and a final attribute', () => {
+      assert.deepStrictEqual(MpdPatch.parseSelector_(
+          '/MPD/Period[@id=\'p/[0]\']/AdaptationSet[2]' +
+          '[@mimeType="video/mp4"]/@lang'), {
+        steps: [
+          {name: 'MPD', predicates: []},
+          {name: 'Period', predicates: [{attribute: 'id', value: 'p/[0]'}]},
+          {name: 'AdaptationSet', predicates: [
+            {position: 2},
+            {attribute: 'mimeType', value: 'video/mp4'},
+          ]},
+        ],
+        attribute: 'lang',
+      });
+      assert.deepStrictEqual(MpdPatch.parseSelector_('/MPD/*[1]'), {
+        steps: [
+          {name: 'MPD', predicates: []},
+          {name: '*', predicates: [{position: 1}]},
+        ],
+        attribute: null,
+      });
+    });
+
+    it('rejects what it does not support', () => {
+      for (const sel of [
+        '',
+        'MPD/Period',
+        '//Period',
+        '/@id',
+        '/MPD/@id/Period',
+        '/MPD/Period[@id=1]',
+        '/MPD/Period[last()]',
+        '/MPD/Period[@id=\'1\'',
+        '/MPD/Period[1]x',
+      ]) {
+        assert.throws(() => MpdPatch.parseSelector_(sel),
+            /Unsupported selector/, sel);
+      }
+    });
+  });
+
+  describe('apply', () => {
+    it('adds elements at each pos', () => {
+      const sel = '/MPD/Period/AdaptationSet[@id=\'1\']';
+      const mpd = patch(
+          `<add sel="${sel}"><Representation id="last"/></add>` +
+          `<add sel="${sel}" pos="prepend"><Representation id="first"/></add>` +
+          `<add sel="${sel}/Representation[2]" pos="before">` +
+          '<Representation id="before-v1"/></add>' +
+          `<add sel="${sel}/Representation[@id='v1']" pos="after">` +
+          '<Representation id="after-v1"/><Representation id="after-v1-2"/>' +
+          '</add>');
+
+      assert.deepStrictEqual(ids(mpd, 'Representation'), [
+        'first', 'before-v1', 'v1', 'after-v1', 'after-v1-2', 'v2', 'last',
+        'a1',
+      ]);
+      const added = xml_utils.getElementsByTagName(mpd, 'Representation')[0];
+      assert.strictEqual(added.parent.attributes['id'], '1');
+    });
+
+    it('adds, replaces and removes attributes', () => {
+      const mpd = patch(
+          '<add sel="/MPD/Period/AdaptationSet[1]" type="@lang">fr</add>' +
+          '<replace sel="/MPD/@type">static</replace>' +
+          '<remove sel="/MPD/Period/AdaptationSet[2]/@lang"/>');
+
+      const adaptationSets =
+          xml_utils.getElementsByTagName(mpd, 'AdaptationSet');
+      assert.strictEqual(adaptationSets[0].attributes['lang'], 'fr');
+      assert.strictEqual(adaptationSets[1].attributes['lang'], undefined);
+      assert.strictEqual(mpd.attributes['type'], 'static');
+      assert.strictEqual(mpd.attributes['publishTime'], '2024-01-01T00:00:02Z');
+    });
+
+    it('replaces and removes elements', () => {
+      const mpd = patch(
+          '<replace sel="/MPD/Period/AdaptationSet[1]/Representation[2]">' +
+          '<Representation id="v3"/></replace>' +
+          '<remove sel="/MPD/Period/AdaptationSet[@id=\'2\']"/>');
+
+      assert.deepStrictEqual(ids(mpd, 'AdaptationSet'), ['1']);
+      assert.deepStrictEqual(ids(mpd, 'Representation'), ['v1', 'v3']);
+    });
+
+    it('matches attribute values unescaped', () => {
+      const mpd = patch('<remove sel="/MPD/Period[@id=\'p&amp;0\']"/>');
+      assert.deepStrictEqual(ids(mpd, 'Period'), []);
+    });
+
+    it('rejects selectors which do not match one element', () => {
+      assert.throws(() => patch('<remove sel="/MPD/Period/Nothing"/>'),
+          /matches 0 elements/);
+      assert.throws(
+          () => patch('<remove sel="/MPD/Period/AdaptationSet"/>'),
+          /matches 2 elements/);
+      assert.throws(
+          () => patch('<remove sel="/MPD/Period/AdaptationSet[3]"/>'),
+          /matches 0 elements/);
+      assert.throws(() => patch('<remove sel="/MPD/@nothing"/>'),
+          /matches no attribute/);
+      assert.throws(() => patch('<remove sel="/MPD"/>'),
+          /Cannot add next to, replace or remove MPD/);
+    });
+
+    it('rejects patches for another MPD', () => {
+      assert.throws(
+          () => patch('', 'mpdId="other" ' +
+              'originalPublishTime="2024-01-01T00:00:00Z"'),
+          /Patch is for MPD other, not live/);
+      assert.throws(
+          () => patch('', 'originalPublishTime="2024-01-01T00:00:00Z"'),
+          /Patch is for MPD undefined/);
+    });
+
+    it('rejects patches from another publishTime', () => {
+      assert.throws(
+          () => patch('', 'mpdId="live" ' +
+              'originalPublishTime="2023-12-31T23:59:58Z"'),
+          /Patch is for publishTime 2023-12-31T23:59:58Z, not/);
+      assert.throws(() => patch('', 'mpdId="live"'),
+          /Patch is for publishTime undefined/);
+      // The same time, written another way.
+      assert.doesNotThrow(() => patch('', 'mpdId="live" ' +
+          'originalPublishTime="2024-01-01T00:00:00.000+00:00"'));
+    });
+
+    it('rejects unsupported operations', () => {
+      assert.throws(() => patch('<move sel="/MPD/Period"/>'),
+          /Unsupported patch operation move/);
+      assert.throws(
+          () => patch('<add sel="/MPD/Period" pos="inside"><X/></add>'),
+          /Unsupported add pos inside/);
+      assert.throws(() => patch('<add sel="/MPD/@type">x</add>'),
+          /Cannot add to attribute type/);
+      assert.throws(
+          () => patch(
+              '<replace sel="/MPD/Period"><Period/><Period/></replace>'),
+          /Expected one element to replace Period with, got 2/);
+    });
+  });
+});
@@ -0,0 +1,339 @@
+const ParserError = require('../util/parser_error');
+const StringUtils = require('../util/string_utils');
+const logger = require('../util/logger');
+const xml_utils = require('../util/xml_utils');
+
+/**
+ * @summary Rewrites a parsed MPD, so a slimmed copy of it can be published:
+ * AdaptationSets and Representations can be dropped, BaseURL and Location
+ * rewritten, MPD attributes overridden and ContentProtection stripped.
+ *
+ * Works on the node tree of xml_utils, whose text and attribute values are
+ * kept escaped; values set here are escaped the same way, so the tree can be
+ * written back with xml_utils.stringify().
+ */
+class MpdRewriter {
+  /**
+   * Applies the rules to the MPD, in place.
+   *
+   * @param {!shaka.extern.xml.Node} mpd
+   * @param {MpdRewriter.Rules} rules
+   * @return {!Object.<string, number>} How many elements of each kind were
+   *   dropped.
+   */
+  static rewrite(mpd, rules) {
+    MpdRewriter.validate_(rules);
+
+    const dropped = {
+      adaptationSets: 0,
+      representations: 0,
+      contentProtections: 0,
+    };
+
+    const dropAdaptationSets = rules.dropAdaptationSets || [];
+    const dropRepresentations = rules.dropRepresentations || [];
+    for (const period of xml_utils.findChildren(mpd, 'Period')) {
+      for (const adaptationSet of
+        xml_utils.findChildren(period, 'AdaptationSet')) {
+        if (MpdRewriter.matchesAny_(adaptationSet, dropAdaptationSets)) {
+          MpdRewriter.remove_(adaptationSet);
+          dropped.adaptationSets++;
+          continue;
+        }
+
+        const representations =
+            xml_utils.findChildren(adaptationSet, 'Representation');
+        for (const representation of representations) {
+          if (MpdRewriter.matchesAny_(representation, dropRepresentations)) {
+            MpdRewriter.remove_(representation);
+            dropped.representations++;
+          }
+        }
+
+        // An AdaptationSet must keep at least one Representation.
+        if (representations.length &&
+            !xml_utils.findChildren(adaptationSet, 'Representation').length) {
+          MpdRewriter.remove_(adaptationSet);
+          dropped.adaptationSets++;
+        }
+      }
+    }
+
+    if (rules.stripContentProtection) {
+      const schemeIdUris = Array.isArray(rules.stripContentProtection) ?
+          rules.stripContentProtection.map((uri) => uri.toLowerCase()) : null;
+      for (const element of
+        xml_utils.getElementsByTagName(mpd, 'ContentProtection')) {
+        const schemeIdUri = StringUtils.htmlUnescape(
+            element.attributes['schemeIdUri'] || '').toLowerCase();
+        if (!schemeIdUris || schemeIdUris.includes(schemeIdUri)) {
+          MpdRewriter.remove_(element);
+          dropped.contentProtections++;
+        }
+      }
+    }
+
+    const rewriteUrls = rules.rewriteUrls || [];
+    for (const tagName of ['BaseURL', 'Location']) {
+      for (const element of xml_utils.getElementsByTagName(mpd, tagName)) {
+        const uri = xml_utils.getContents(element) || '';
+        const rule = rewriteUrls.find((rule) => uri.startsWith(rule.from));
+        if (rule) {
+          MpdRewriter.setText_(element, rule.to + uri.slice(rule.from.length));
+        }
+      }
+    }
+
+    if (rules.baseUrl != null) {
+      for (const element of xml_utils.findChildren(mpd, 'BaseURL')) {
+        MpdRewriter.remove_(element);
+      }
+      MpdRewriter.insert_(mpd, 'BaseURL', rules.baseUrl);
+    }
+
+    if (rules.location !== undefined) {
+      for (const element of xml_utils.findChildren(mpd, 'Location')) {
+        MpdRewriter.remove_(element);
+      }
+      if (rules.location !== null) {
+        MpdRewriter.insert_(mpd, 'Location', rules.location);
+      }
+    }
+
+    for (const [name, value] of Object.entries(rules.attributes || {})) {
+      if (value === null) {
+        delete mpd.attributes[name];
+      } else {
+        mpd.attributes[name] = StringUtils.htmlEscape(String(value));
+      }
+    }
+
+    logger.debug(`Rewrote MPD, dropped ${JSON.stringify(dropped)}`);
+    return dropped;
+  }
+
+  /**
+   * Checks that the rules have the expected shape.
+   *
+   * @param {MpdRewriter.Rules} rules
+   * @throws {!ParserError} INVALID_REWRITE_RULES if they do not.
+   * @private
+   */
+  static validate_(rules) {
+    const isObject = (value) => {
+      return value != null && typeof value == 'object' && !Array.isArray(value);
+    };
+    const isOptionalString = (value) => {
+      return value == null || typeof value == 'string';
+    };
+
+    const valid = isObject(rules) &&
+        (rules.dropAdaptationSets == null ||
+            (Array.isArray(rules.dropAdaptationSets) &&
+             rules.dropAdaptationSets.every(isObject))) &&
+        (rules.dropRepresentations == null ||
+            (Array.isArray(rules.dropRepresentations) &&
+             rules.dropRepresentations.every(isObject))) &&
+        (rules.rewriteUrls == null ||
+            (Array.isArray(rules.rewriteUrls) &&
+             rules.rewriteUrls.every((rule) => isObject(rule) &&
+                 typeof rule.from == 'string' && typeof rule.to == 'string'))) &&
+        isOptionalString(rules.baseUrl) &&
+        isOptionalString(rules.location) &&
+        (rules.attributes == null ||
+            (isObject(rules.attributes) &&
+             Object.entries(rules.attributes).every(([name, value]) => {
+               return MpdRewriter.XML_NAME_.test(name) &&
+                   (value === null || typeof value == 'string' ||
+                    (typeof value == 'number' && isFinite(value)));
+             }))) &&
+        (rules.stripContentProtection == null ||
+            typeof rules.stripContentProtection == 'boolean' ||
+            (Array.isArray(rules.stripContentProtection) &&
+             rules.stripContentProtection.every((uri) => {
+               return typeof uri == 'string';
+             })));
+
+    if (!valid) {
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.REQUEST,
+          ParserError.Code.INVALID_REWRITE_RULES);
+    }
+  }
+
+  /**
+   * @param {!shaka.extern.xml.Node} element
+   * @param {!Array.<MpdRewriter.Predicate>} predicates
+   * @return {boolean}
+   * @private
+   */
+  static matchesAny_(element, predicates) {
+    return predicates.some((predicate) => {
+      return MpdRewriter.matches_(element, predicate);
+    });
+  }
+
+  /**
+   * Checks every attribute the predicate names.  Representations inherit the
+   * attributes of their AdaptationSet, e.g. mimeType or lang.
+   *
+   * @param {!shaka.extern.xml.Node} element
+   * @param {MpdRewriter.Predicate} predicate
+   * @return {boolean}
+   * @private
+   */
+  static matches_(element, predicate) {
+    return Object.entries(predicate).every(([name, expected]) => {
+      let value = element.attributes[name];
+      if (value == null && element.tagName == 'Representation' &&
+          element.parent) {
+        value = element.parent.attributes[name];
+      }
+      value = value == null ? null : StringUtils.htmlUnescape(value);
+      return MpdRewriter.matchesValue_(value, expected);
+    });
+  }
+
+  /**
+   * @param {?string} value
+   * @param {*} expected A value, a list of values, or an object with min,
+   *   max or not.
+   * @return {boolean}
+   * @private
+   */
+  static matchesValue_(value, expected) {
+    if (Array.isArray(expected)) {
+      return expected.some((e) => MpdRewriter.matchesValue_(value, e));
+    }
+    if (expected === null) {
+      return value == null;
+    }
+    if (typeof expected == 'object') {
+      if (expected.not !== undefined &&
+          MpdRewriter.matchesValue_(value, expected.not)) {
+        return false;
+      }
+      if (expected.min != null || expected.max != null) {
+        const number = value == null ? NaN : Number(value);
+        if (isNaN(number) ||
+            (expected.min != null && number < expected.min) ||
+            (expected.max != null && number > expected.max)) {
+          return false;
+        }
+      }
+      return true;
+    }
+    return value == String(expected);
+  }
+
+  /**
+   * @param {!shaka.extern.xml.Node} element
+   * @private
+   */
+  static remove_(element) {
+    const parent = element.parent;
+    if (parent) {
+      parent.children = parent.children.filter((child) => child !== element);
+      element.parent = null;
+    }
+  }
+
+  /**
+   * @param {!shaka.extern.xml.Node} element
+   * @param {string} text
+   * @private
+   */
+  static setText_(element, text) {
+    element.children = [StringUtils.htmlEscape(text)];
+  }
+
+  /**
+   * Inserts a text element at the top of the MPD, after the elements the
+   * schema puts before it.
+   *
+   * @param {!shaka.extern.xml.Node} mpd
+   * @param {string} tagName BaseURL or Location.
+   * @param {string} text
+   * @private
+   */
+  static insert_(mpd, tagName, text) {
+    const before = MpdRewriter.ELEMENT_ORDER_.slice(
+        0, MpdRewriter.ELEMENT_ORDER_.indexOf(tagName) + 1);
+    let index = 0;
+    while (index < mpd.children.length &&
+        typeof mpd.children[index] !== 'string' &&
+        before.includes(mpd.children[index].tagName)) {
+      index++;
+    }
+
+    /** @type {shaka.extern.xml.Node} */
+    const element = {
+      tagName,
+      attributes: {},
+      children: [],
+      parent: mpd,
+    };
+    MpdRewriter.setText_(element, text);
+    mpd.children.splice(index, 0, element);
+  }
+};
+
+/**
+ * The first child elements of MPD, in the order the schema gives them.
+ * @const {!Array.<string>}
+ * @private
+ */
+MpdRewriter.ELEMENT_ORDER_ = ['ProgramInformation', 'BaseURL', 'Location'];
+
+/**
+ * What an attribute name can be, so the MPD stays well-formed.
+ * @const {!RegExp}
+ * @private
+ */
+MpdRewriter.XML_NAME_ =
+    /^[:A-Z_a-z\u00C0-\uFFFF][:A-Z_a-z\u00C0-\uFFFF.0-9\u00B7-]*$/;
+
+/**
+ * @typedef {!Object.<string, *>}
+ *
+ * @description
+ * Attribute names and what their value must be for an element to match: a
+ * value, a list of values, or an object with any of min and max (numbers)
+ * and not (a value or a list of values).
+ */
+MpdRewriter.Predicate;
+
+/**
+ * @typedef {{
+ *   dropAdaptationSets: (!Array.<MpdRewriter.Predicate>|undefined),
+ *   dropRepresentations: (!Array.<MpdRewriter.Predicate>|undefined),
+ *   rewriteUrls: (!Array.<{from: string, to: string}>|undefined),
+ *   baseUrl: (string|undefined),
+ *   location: (?string|undefined),
+ *   attributes: (!Object.<string, (?string|number)>|undefined),
+ *   stripContentProtection: (boolean|!Array.<string>|undefined)
+ * }}
+ *
+ * @property {(!Array.<MpdRewriter.Predicate>|undefined)} dropAdaptationSets
+ *   AdaptationSets matching any of these are dropped.
+ * @property {(!Array.<MpdRewriter.Predicate>|undefined)} dropRepresentations
+ *   Representations matching any of these are dropped, and so are the
+ *   AdaptationSets left without one.
+ * @property {(!Array.<{from: string, to: string}>|undefined)} rewriteUrls
+ *   Prefixes of BaseURL and Location values to replace; the first matching
+ *   rule of each applies.
+ * @property {(string|undefined)} baseUrl
+ *   Replaces the BaseURLs of the MPD element, e.g. with a CDN.
+ * @property {(?string|undefined)} location
+ *   Replaces the Location of the MPD; null removes it.
+ * @property {(!Object.<string, (?string|number)>|undefined)} attributes
+ *   MPD attributes to set, e.g. timeShiftBufferDepth; null removes one.
+ *   Names must be XML names.
+ * @property {(boolean|!Array.<string>|undefined)} stripContentProtection
+ *   True strips every ContentProtection element, a list only those with one
+ *   of these schemeIdUris.
+ */
+MpdRewriter.Rules;
+
+module.exports = MpdRewriter;
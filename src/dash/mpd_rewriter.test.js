@@ -0,0 +1,128 @@
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const MpdRewriter = require('./mpd_rewriter');
+const ParserError = require('../util/parser_error');
+const StringUtils = require('../util/string_utils');
+const xml_utils = require('../util/xml_utils');
+
+const MPD = `<?xml version="1.0" encoding="UTF-8"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static"
+    mediaPresentationDuration="PT8S" minBufferTime="PT2S">
+  <BaseURL>http://origin.example/a&amp;b/</BaseURL>
+  <Location>http://origin.example/manifest.mpd</Location>
+  <Period id="p0">
+    <AdaptationSet contentType="video" mimeType="video/mp4">
+      <ContentProtection schemeIdUri="urn:mpeg:dash:mp4protection:2011"
+          value="cenc"/>
+      <Representation id="v1" bandwidth="1000000"/>
+      <Representation id="v2" bandwidth="3000000"/>
+    </AdaptationSet>
+    <AdaptationSet contentType="audio" mimeType="audio/mp4" lang="fr">
+      <Representation id="a1" bandwidth="128000"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+/**
+ * Rewrites the MPD above, then writes it and parses it back.
+ *
+ * @param {MpdRewriter.Rules} rules
+ * @return {{dropped: !Object.<string, number>, mpd: !shaka.extern.xml.Node}}
+ */
+function roundTrip(rules) {
+  const mpd = xml_utils.parseXmlString(MPD, 'MPD');
+  const dropped = MpdRewriter.rewrite(mpd, rules);
+  const xml = xml_utils.stringify(mpd, '  ');
+  return {dropped, mpd: xml_utils.parseXml(Buffer.from(xml), 'MPD')};
+}
+
+/**
+ * @param {!shaka.extern.xml.Node} mpd
+ * @return {!Array.<string>}
+ */
+function representationIds(mpd) {
+  return xml_utils.getElementsByTagName(mpd, 'Representation')
+      .map((representation) => representation.attributes['id']);
+}
+
+describe('MpdRewriter', () => {
+  it('drops Representations and the AdaptationSets left empty', () => {
+    const {dropped, mpd} = roundTrip({
+      dropRepresentations: [{bandwidth: {min: 2000000}}, {lang: 'fr'}],
+    });
+
+    assert.deepStrictEqual(representationIds(mpd), ['v1']);
+    assert.deepStrictEqual(dropped, {
+      adaptationSets: 1,
+      representations: 2,
+      contentProtections: 0,
+    });
+  });
+
+  it('strips ContentProtection and rewrites URLs', () => {
+    const {dropped, mpd} = roundTrip({
+      stripContentProtection: true,
+      rewriteUrls: [{from: 'http://origin.example/', to: 'https://cdn.example/'}],
+      location: null,
+    });
+
+    assert.strictEqual(dropped.contentProtections, 1);
+    assert.strictEqual(
+        xml_utils.getElementsByTagName(mpd, 'ContentProtection').length, 0);
+    assert.strictEqual(
+        StringUtils.htmlUnescape(
+            xml_utils.getContents(xml_utils.findChild(mpd, 'BaseURL'))),
+        'https://cdn.example/a&b/');
+    assert.strictEqual(xml_utils.findChild(mpd, 'Location'), null);
+  });
+
+  it('writes what it sets escaped, so it parses back', () => {
+    const {mpd} = roundTrip({
+      baseUrl: 'https://cdn.example/?a=1&b=<2>',
+      attributes: {
+        'type': 'dynamic',
+        'minBufferTime': null,
+        'xmlns:ext': 'urn:example:"quoted"',
+        'maxSegmentDuration': 2,
+      },
+    });
+
+    assert.strictEqual(
+        StringUtils.htmlUnescape(
+            xml_utils.getContents(xml_utils.findChild(mpd, 'BaseURL'))),
+        'https://cdn.example/?a=1&b=<2>');
+    assert.strictEqual(mpd.attributes['type'], 'dynamic');
+    assert.strictEqual(mpd.attributes['minBufferTime'], undefined);
+    assert.strictEqual(
+        StringUtils.htmlUnescape(mpd.attributes['xmlns:ext']),
+        'urn:example:"quoted"');
+    assert.strictEqual(mpd.attributes['maxSegmentDuration'], '2');
+    assert.deepStrictEqual(representationIds(mpd), ['v1', 'v2', 'a1']);
+  });
+
+  it('rejects malformed rules', () => {
+    const invalid = [
+      null,
+      [],
+      {dropRepresentations: {id: 'v1'}},
+      {rewriteUrls: [{from: 'a'}]},
+      {baseUrl: 1},
+      {stripContentProtection: 'yes'},
+      {attributes: {'bad name': 'x'}},
+      {attributes: {'a>b': 'x'}},
+      {attributes: {'1st': 'x'}},
+      {attributes: {type: {a: 1}}},
+      {attributes: {type: ['static']}},
+      {attributes: {type: true}},
+    ];
+    for (const rules of invalid) {
+      const mpd = xml_utils.parseXmlString(MPD, 'MPD');
+      assert.throws(() => MpdRewriter.rewrite(mpd, rules), (err) => {
+        return err instanceof ParserError &&
+            err.category == ParserError.Category.REQUEST &&
+            err.code == ParserError.Code.INVALID_REWRITE_RULES;
+      }, JSON.stringify(rules));
+    }
+  });
+});
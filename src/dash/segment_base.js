@@ -1,12 +1,15 @@
+const assert = require('assert');
 const MpdUtils = require('./mdp_utils');
+const logger = require('../util/logger');
 const xml_utils = require('../util/xml_utils');
 const ManifestParserUtils = require('../util/manifest_parser_utils');
-const InitSegmentReference = require('../media/segment_reference');
+const { InitSegmentReference } = require('../media/segment_reference');
 const Mp4SegmentIndexParser = require('../media/mp4_segment_index_parser');
 const WebmSegmentIndexParser = require('../media/webm_segment_index_parser');
-const SegmentIndex = require('../media/segment_index');
+const { SegmentIndex } = require('../media/segment_index');
 const StringUtils = require('../util/string_utils');
 const ObjectUtils = require('../util/object_utils');
+const ParserError = require('../util/parser_error');
 
 class SegmentBase {
   /**
@@ -32,6 +35,7 @@ class SegmentBase {
         StringUtils.htmlUnescape(uri),
       ]);
     }
+    resolvedUris = context.addPathwayParams(resolvedUris);
 
     let startByte = 0;
     let endByte = null;
@@ -226,6 +230,7 @@ class SegmentBase {
             indexUris, [representationUri]);
       }
     }
+    indexUris = context.addPathwayParams(indexUris);
 
     return indexUris;
   }
@@ -252,7 +257,10 @@ class SegmentBase {
           'the SegmentBase does not contain @indexRange',
           'or a RepresentationIndex element.',
           context.representation);
-      throw new Error("DASH_NO_SEGMENT_INFO");
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MANIFEST,
+          ParserError.Code.DASH_NO_SEGMENT_INFO);
     }
   }
 
@@ -265,7 +273,7 @@ class SegmentBase {
    * @param {shaka.media.InitSegmentReference} initSegmentReference
    */
   static checkSegmentIndexSupport(context, initSegmentReference) {
-    const ContentType = shaka.util.ManifestParserUtils.ContentType;
+    const ContentType = ManifestParserUtils.ContentType;
 
     const contentType = context.representation.contentType;
     const containerType = context.representation.mimeType.split('/')[1];
@@ -275,7 +283,10 @@ class SegmentBase {
       logger.error(
           'SegmentBase specifies an unsupported container type.',
           context.representation);
-      throw new Error("DASH_UNSUPPORTED_CONTAINER");
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MANIFEST,
+          ParserError.Code.DASH_UNSUPPORTED_CONTAINER);
     }
 
     if ((containerType == 'webm') && !initSegmentReference) {
@@ -284,7 +295,10 @@ class SegmentBase {
           'the SegmentBase uses a WebM container,',
           'but does not contain an Initialization element.',
           context.representation);
-      throw new Error("DASH_WEBM_MISSING_INIT");
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MANIFEST,
+          ParserError.Code.DASH_WEBM_MISSING_INIT);
     }
   }
 
@@ -305,7 +319,7 @@ class SegmentBase {
     const indexRange = SegmentBase.computeIndexRange_(context);
     assert(indexRange, 'Index range should not be null!');
 
-    return shaka.dash.SegmentBase.generateSegmentIndexFromUris(
+    return SegmentBase.generateSegmentIndexFromUris(
         context, requestSegment, initSegmentReference, indexUris,
         indexRange.start, indexRange.end,
         scaledPresentationTimeOffset);
@@ -2,12 +2,13 @@ const assert = require('assert')
 const MpdUtils = require('./mdp_utils');
 const SegmentBase = require('./segment_base');
 const logger = require('../util/logger');
-const { initSegmentReference, SegmentReference } = require('../media/segment_reference');
-const SegmentIndex = require('../media/segment_index');
+const { SegmentReference } = require('../media/segment_reference');
+const { SegmentIndex } = require('../media/segment_index');
 const Functional = require('../util/functional');
 const ManifestParserUtils = require('../util/manifest_parser_utils');
 const StringUtils = require('../util/string_utils');
 const xml_utils = require('../util/xml_utils');
+const ParserError = require('../util/parser_error');
 
 /**
  * @summary A set of functions for parsing SegmentList elements.
@@ -90,15 +91,15 @@ class SegmentList {
 
     const references = SegmentList.createSegmentReferences_(
       context.periodInfo.start, context.periodInfo.duration,
-      info.startNumber, context.representation.getBaseUris, info,
-      initSegmentReference, aesKey);
+      info.startNumber, context.representation.getBaseUris,
+      context.addPathwayParams, info, initSegmentReference, aesKey);
 
     const isNew = !segmentIndex;
     if (segmentIndex) {
       const start = context.presentationTimeline.getSegmentAvailabilityStart();
       segmentIndex.mergeAndEvict(references, start);
     } else {
-      segmentIndex = SegmentIndex(references);
+      segmentIndex = new SegmentIndex(references);
     }
     context.presentationTimeline.notifySegments(references);
 
@@ -146,7 +147,7 @@ class SegmentList {
 
     let startNumber = segmentInfo.startNumber;
     if (startNumber == 0) {
-      logger.warning('SegmentList@startNumber must be > 0');
+      logger.warn('SegmentList@startNumber must be > 0');
       startNumber = 1;
     }
 
@@ -180,31 +181,40 @@ class SegmentList {
   static checkSegmentListInfo_(context, info) {
     if (!info.segmentDuration && !info.timeline &&
       info.mediaSegments.length > 1) {
-      logger.warning(
+      logger.warn(
         'SegmentList does not contain sufficient segment information:',
         'the SegmentList specifies multiple segments,',
         'but does not specify a segment duration or timeline.',
         context.representation);
-      throw new Error("DASH_NO_SEGMENT_INFO");
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MANIFEST,
+          ParserError.Code.DASH_NO_SEGMENT_INFO);
     }
 
     if (!info.segmentDuration && !context.periodInfo.duration &&
       !info.timeline && info.mediaSegments.length == 1) {
-      logger.warning(
+      logger.warn(
         'SegmentList does not contain sufficient segment information:',
         'the SegmentList specifies one segment,',
         'but does not specify a segment duration, period duration,',
         'or timeline.',
         context.representation);
-      throw new Error("DASH_NO_SEGMENT_INFO");
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MANIFEST,
+          ParserError.Code.DASH_NO_SEGMENT_INFO);
     }
 
     if (info.timeline && info.timeline.length == 0) {
-      logger.warning(
+      logger.warn(
         'SegmentList does not contain sufficient segment information:',
         'the SegmentList has an empty timeline.',
         context.representation);
-      throw new Error("DASH_NO_SEGMENT_INFO");
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MANIFEST,
+          ParserError.Code.DASH_NO_SEGMENT_INFO);
     }
   }
 
@@ -215,6 +225,7 @@ class SegmentList {
    * @param {?number} periodDuration in seconds.
    * @param {number} startNumber
    * @param {function():!Array.<string>} getBaseUris
+   * @param {function(!Array.<string>):!Array.<string>} addPathwayParams
    * @param {static SegmentListInfo} info
    * @param {shaka.media.InitSegmentReference} initSegmentReference
    * @param {shaka.extern.aesKey|undefined} aesKey
@@ -222,13 +233,13 @@ class SegmentList {
    * @private
    */
   static createSegmentReferences_(
-    periodStart, periodDuration, startNumber, getBaseUris, info,
-    initSegmentReference, aesKey) {
+    periodStart, periodDuration, startNumber, getBaseUris, addPathwayParams,
+    info, initSegmentReference, aesKey) {
 
     let max = info.mediaSegments.length;
     if (info.timeline && info.timeline.length != info.mediaSegments.length) {
       max = Math.min(info.timeline.length, info.mediaSegments.length);
-      logger.warning(
+      logger.warn(
         'The number of items in the segment timeline and the number of ',
         'segment URLs do not match, truncating', info.mediaSegments.length,
         'to', max);
@@ -264,8 +275,8 @@ class SegmentList {
       let uris = null;
       const getUris = () => {
         if (uris == null) {
-          uris = ManifestParserUtils.resolveUris(
-            getBaseUris(), [segment.mediaUri]);
+          uris = addPathwayParams(ManifestParserUtils.resolveUris(
+            getBaseUris(), [segment.mediaUri]));
         }
         return uris;
       };
@@ -315,7 +326,7 @@ class SegmentList {
         if (urlNode.attributes['indexRange'] &&
           !context.indexRangeWarningGiven) {
           context.indexRangeWarningGiven = true;
-          logger.warning(
+          logger.warn(
             'We do not support the SegmentURL@indexRange attribute on ' +
             'SegmentList.  We only use the SegmentList@duration ' +
             'attribute or SegmentTimeline, which must be accurate.');
@@ -7,6 +7,7 @@ const { SegmentIndex } = require('../media/segment_index');
 const ManifestParserUtils = require('../util/manifest_parser_utils');
 const ObjectUtils = require('../util/object_utils');
 const StringUtils = require('../util/string_utils');
+const ParserError = require('../util/parser_error');
 
 /**
  * @summary A set of functions for parsing SegmentTemplate elements.
@@ -150,6 +151,7 @@ class SegmentTemplate {
           context.representation.id,
           context.bandwidth,
           context.representation.getBaseUris,
+          context.addPathwayParams,
           periodStart,
           periodEnd,
           initSegmentReference,
@@ -248,7 +250,10 @@ class SegmentTemplate {
         'the SegmentTemplate must contain either an index URL template',
         'a SegmentTimeline, or a segment duration.',
         context.representation);
-      throw new Error("DASH_NO_SEGMENT_INFO");
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MANIFEST,
+          ParserError.Code.DASH_NO_SEGMENT_INFO);
     } else if (n != 1) {
       logger.warning(
         'SegmentTemplate containes multiple segment information sources:',
@@ -271,7 +276,10 @@ class SegmentTemplate {
         'SegmentTemplate does not contain sufficient segment information:',
         'the SegmentTemplate\'s media URL template is missing.',
         context.representation);
-      throw new Error("DASH_NO_SEGMENT_INFO");
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MANIFEST,
+          ParserError.Code.DASH_NO_SEGMENT_INFO);
     }
   }
 
@@ -292,8 +300,8 @@ class SegmentTemplate {
       info.indexTemplate, context.representation.id,
       null, null, context.bandwidth || null, null);
 
-    const resolvedUris = ManifestParserUtils.resolveUris(
-      context.representation.getBaseUris(), [filledTemplate]);
+    const resolvedUris = context.addPathwayParams(ManifestParserUtils.resolveUris(
+      context.representation.getBaseUris(), [filledTemplate]));
 
     return SegmentBase.generateSegmentIndexFromUris(
       context, requestSegment, init, resolvedUris, 0, null,
@@ -339,6 +347,7 @@ class SegmentTemplate {
     const bandwidth = context.bandwidth || null;
     const id = context.representation.id;
     const getBaseUris = context.representation.getBaseUris;
+    const addPathwayParams = context.addPathwayParams;
   
     const timestampOffset = periodStart - info.scaledPresentationTimeOffset;
   
@@ -395,7 +404,8 @@ class SegmentTemplate {
         }
         const mediaUri = MpdUtils.fillUriTemplate(
           template, id, position, /* subNumber= */ null, bandwidth, time);
-        return ManifestParserUtils.resolveUris(getBaseUris(), [mediaUri]);
+        return addPathwayParams(
+          ManifestParserUtils.resolveUris(getBaseUris(), [mediaUri]));
       };
   
       const segmentStart = segmentPeriodTime + periodStart;
@@ -481,13 +491,14 @@ class SegmentTemplate {
     const repId = context.representation.id;
     const bandwidth = context.bandwidth || null;
     const getBaseUris = context.representation.getBaseUris;
+    const addPathwayParams = context.addPathwayParams;
     const getUris = () => {
       assert(initialization, 'Should have returned earler');
       const filledTemplate = MpdUtils.fillUriTemplate(
         initialization, repId, null, null, bandwidth, null);
       const resolvedUris = ManifestParserUtils.resolveUris(
         getBaseUris(), [filledTemplate]);
-      return resolvedUris;
+      return addPathwayParams(resolvedUris);
     };
     const qualityInfo = SegmentBase.createQualityInfo(context);
     return new InitSegmentReference(
@@ -520,6 +531,7 @@ class TimelineSegmentIndex extends SegmentIndex {
    * @param {?string} representationId
    * @param {number} bandwidth
    * @param {function():Array.<string>} getBaseUris
+   * @param {function(!Array.<string>):!Array.<string>} addPathwayParams
    * @param {number} periodStart
    * @param {number} periodEnd
    * @param {shaka.media.InitSegmentReference} initSegmentReference
@@ -528,7 +540,7 @@ class TimelineSegmentIndex extends SegmentIndex {
    * @param {number} segmentSequenceCadence
   */
   constructor(templateInfo, representationId, bandwidth, getBaseUris,
-    periodStart, periodEnd, initSegmentReference, shouldFit,
+    addPathwayParams, periodStart, periodEnd, initSegmentReference, shouldFit,
     aesKey, segmentSequenceCadence) {
     super([]);
 
@@ -536,6 +548,7 @@ class TimelineSegmentIndex extends SegmentIndex {
     this.representationId_ = representationId;
     this.bandwidth_ = bandwidth;
     this.getBaseUris_ = getBaseUris;
+    this.addPathwayParams_ = addPathwayParams;
     this.periodStart_ = periodStart;
     this.periodEnd_ = periodEnd;
     this.initSegmentReference_ = initSegmentReference;
@@ -786,7 +799,8 @@ class TimelineSegmentIndex extends SegmentIndex {
               this.bandwidth_,
               timeReplacement,
               subNumber,
-              this.getBaseUris_);
+              this.getBaseUris_,
+              this.addPathwayParams_);
           }
           return uris;
         };
@@ -829,6 +843,7 @@ class TimelineSegmentIndex extends SegmentIndex {
             timeReplacement,
                 /* subNumber= */ null,
             this.getBaseUris_,
+            this.addPathwayParams_,
           );
       };
 
@@ -863,15 +878,15 @@ class TimelineSegmentIndex extends SegmentIndex {
    * @private
    */
   static createUris_(mediaTemplate, repId, segmentReplacement,
-    bandwidth, timeReplacement, subNumber, getBaseUris) {
+    bandwidth, timeReplacement, subNumber, getBaseUris, addPathwayParams) {
     const mediaUri = MpdUtils.fillUriTemplate(
       mediaTemplate, repId,
       segmentReplacement, subNumber, bandwidth || null, timeReplacement);
-    return ManifestParserUtils
+    return addPathwayParams(ManifestParserUtils
       .resolveUris(getBaseUris(), [mediaUri])
       .map((g) => {
         return g.toString();
-      });
+      }));
   }
 };
 
@@ -0,0 +1,326 @@
+const { InitSegmentReference } = require('../media/segment_reference');
+const ManifestParserUtils = require('../util/manifest_parser_utils');
+const MimeUtils = require('../util/mime_utils');
+
+/**
+ * @summary Writes HLS playlists for a manifest built by DashMpdParser, so the
+ * same presentation can be followed by clients which only understand HLS.
+ *
+ * Segments are referenced where the MPD put them; the playlists use fMP4
+ * (EXT-X-MAP), so no segment is ever repackaged.
+ */
+class HlsWriter {
+  /**
+   * Writes the multivariant playlist.  Variants with video become
+   * EXT-X-STREAM-INF entries, with their audio as alternative renditions;
+   * audio-only variants point at the audio media playlist directly.  Text
+   * streams are subtitle renditions of every variant.
+   *
+   * Whether segments are independent is only known once their index exists,
+   * so EXT-X-INDEPENDENT-SEGMENTS is left to the media playlists.
+   *
+   * @param {shaka.extern.Manifest} manifest
+   * @param {function(shaka.extern.Stream):string} getStreamUri The URI of the
+   *   media playlist of a stream.
+   * @return {string}
+   */
+  static createMultivariantPlaylist(manifest, getStreamUri) {
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:' + HlsWriter.VERSION,
+    ];
+
+    /** @type {!Map.<shaka.extern.Stream, string>} */
+    const groupIds = new Map();
+    /** @type {!Map.<string, !Array.<shaka.extern.Stream>>} */
+    const groups = new Map();
+    for (const variant of manifest.variants) {
+      const audio = variant.audio;
+      if (!variant.video || !audio || groupIds.has(audio)) {
+        continue;
+      }
+      const codecBase = MimeUtils.getCodecBase(
+          MimeUtils.splitCodecs(audio.codecs)[0] || '');
+      const groupId = 'audio-' + (codecBase || 'default');
+      groupIds.set(audio, groupId);
+      if (!groups.has(groupId)) {
+        groups.set(groupId, []);
+      }
+      groups.get(groupId).push(audio);
+    }
+
+    for (const [groupId, streams] of groups) {
+      const defaultStream = streams.find((s) => s.primary) || streams[0];
+      HlsWriter.addRenditions_(lines, 'AUDIO', groupId, streams, defaultStream,
+          getStreamUri);
+    }
+
+    const textStreams = manifest.textStreams || [];
+    // Subtitles are only shown when asked for, or when forced.
+    HlsWriter.addRenditions_(lines, 'SUBTITLES', HlsWriter.SUBTITLES_GROUP_ID,
+        textStreams, null, getStreamUri);
+
+    // Text in fMP4 (stpp, wvtt) must be declared; sidecar files need not.
+    const textCodecs = [];
+    for (const stream of textStreams) {
+      if (stream.mimeType == 'application/mp4') {
+        textCodecs.push(...MimeUtils.splitCodecs(stream.codecs));
+      }
+    }
+
+    for (const variant of manifest.variants) {
+      const main = variant.video || variant.audio;
+      if (!main) {
+        continue;
+      }
+
+      const codecs = [];
+      for (const stream of [variant.video, variant.audio]) {
+        if (stream) {
+          codecs.push(...MimeUtils.splitCodecs(stream.codecs));
+        }
+      }
+      codecs.push(...textCodecs);
+
+      const attributes = ['BANDWIDTH=' + Math.round(variant.bandwidth || 0)];
+      if (codecs.length) {
+        attributes.push('CODECS=' + HlsWriter.quote_(
+            Array.from(new Set(codecs)).join(',')));
+      }
+      if (variant.video) {
+        const video = variant.video;
+        if (video.width && video.height) {
+          attributes.push('RESOLUTION=' + video.width + 'x' + video.height);
+        }
+        if (video.frameRate) {
+          attributes.push('FRAME-RATE=' + Number(video.frameRate).toFixed(3));
+        }
+        if (video.hdr) {
+          attributes.push('VIDEO-RANGE=' + video.hdr);
+        }
+        if (variant.audio) {
+          attributes.push('AUDIO=' +
+              HlsWriter.quote_(groupIds.get(variant.audio)));
+        }
+      }
+      if (textStreams.length) {
+        attributes.push('SUBTITLES=' +
+            HlsWriter.quote_(HlsWriter.SUBTITLES_GROUP_ID));
+      }
+      lines.push('#EXT-X-STREAM-INF:' + attributes.join(','));
+      lines.push(getStreamUri(main));
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Writes an EXT-X-MEDIA rendition for each stream of a group.
+   *
+   * @param {!Array.<string>} lines
+   * @param {string} type AUDIO or SUBTITLES.
+   * @param {string} groupId
+   * @param {!Array.<shaka.extern.Stream>} streams
+   * @param {?shaka.extern.Stream} defaultStream
+   * @param {function(shaka.extern.Stream):string} getStreamUri
+   * @private
+   */
+  static addRenditions_(lines, type, groupId, streams, defaultStream,
+      getStreamUri) {
+    const names = new Set();
+    for (const stream of streams) {
+      // Rendition names must be unique within their group.
+      let name = stream.label || stream.language || 'und';
+      if (names.has(name)) {
+        name += ' (' + stream.originalId + ')';
+      }
+      names.add(name);
+
+      const attributes = [
+        'TYPE=' + type,
+        'GROUP-ID=' + HlsWriter.quote_(groupId),
+        'NAME=' + HlsWriter.quote_(name),
+      ];
+      if (stream.language && stream.language != 'und') {
+        attributes.push('LANGUAGE=' + HlsWriter.quote_(stream.language));
+      }
+      attributes.push('DEFAULT=' + (stream == defaultStream ? 'YES' : 'NO'));
+      attributes.push('AUTOSELECT=YES');
+      if (stream.forced) {
+        attributes.push('FORCED=YES');
+      }
+      if (stream.kind == ManifestParserUtils.TextStreamKind.CLOSED_CAPTION) {
+        attributes.push('CHARACTERISTICS=' + HlsWriter.quote_(
+            'public.accessibility.transcribes-spoken-dialog,' +
+            'public.accessibility.describes-music-and-sound'));
+      }
+      if (stream.channelsCount) {
+        attributes.push('CHANNELS=' + HlsWriter.quote_(
+            String(stream.channelsCount)));
+      }
+      attributes.push('URI=' + HlsWriter.quote_(getStreamUri(stream)));
+      lines.push('#EXT-X-MEDIA:' + attributes.join(','));
+    }
+  }
+
+  /**
+   * Writes the media playlist of a stream.  Every Period boundary is a
+   * discontinuity, and a new EXT-X-MAP is written whenever the
+   * initialization segment changes.
+   *
+   * Segments made of partial segments ($SubNumber$ templates) have no
+   * resource of their own, so each of their parts is written as a segment.
+   * Positions of the index count segments, not parts, so the media sequence
+   * assumes every segment has as many parts as the first one listed, as S@k
+   * gives them.
+   *
+   * @param {shaka.extern.Stream} stream Its segment index must exist.
+   * @param {!PresentationTimeline} presentationTimeline
+   * @param {!Array.<{id: string, start: number}>} periods Every Period seen,
+   *   ordered by start time.
+   * @return {string}
+   */
+  static createMediaPlaylist(stream, presentationTimeline, periods) {
+    const segmentIndex = stream.segmentIndex;
+    // Walked by position: the iterators of the index step through partial
+    // segments instead of the segments made of them.
+    const firstPosition = segmentIndex.find(-Infinity);
+    const references = [];
+    let partsPerSegment = 1;
+    if (firstPosition != null) {
+      let position = firstPosition;
+      for (let reference = segmentIndex.get(position); reference;
+          reference = segmentIndex.get(++position)) {
+        if (reference.hasPartialSegments() && !reference.getUris().length) {
+          if (!references.length) {
+            partsPerSegment = reference.partialReferences.length;
+          }
+          references.push(...reference.partialReferences);
+        } else {
+          references.push(reference);
+        }
+      }
+    }
+
+    const isLive = presentationTimeline.isLive() ||
+        presentationTimeline.isInProgress();
+    const presentationStartTime =
+        presentationTimeline.getPresentationStartTime();
+
+    const longest = references.reduce((max, reference) => {
+      return Math.max(max, reference.endTime - reference.startTime);
+    }, 0);
+
+    // Positions and Period indexes only grow during a session, so clients
+    // can follow the live edge across refreshes.
+    const first = references[0];
+    const mediaSequence = first ? firstPosition * partsPerSegment : 0;
+    const firstPeriod =
+        first ? ManifestParserUtils.findPeriod(periods, first) : null;
+    const discontinuitySequence =
+        firstPeriod ? periods.indexOf(firstPeriod) : 0;
+
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:' + HlsWriter.VERSION,
+      '#EXT-X-TARGETDURATION:' + Math.max(1, Math.ceil(longest)),
+      '#EXT-X-MEDIA-SEQUENCE:' + mediaSequence,
+      '#EXT-X-DISCONTINUITY-SEQUENCE:' + discontinuitySequence,
+    ];
+    if (!isLive) {
+      lines.push('#EXT-X-PLAYLIST-TYPE:VOD');
+    }
+    if (references.every((reference) => reference.isIndependent())) {
+      lines.push('#EXT-X-INDEPENDENT-SEGMENTS');
+    }
+
+    let lastPeriod = firstPeriod;
+    let lastInitSegmentReference = null;
+    for (let i = 0; i < references.length; i++) {
+      const reference = references[i];
+      const period = ManifestParserUtils.findPeriod(periods, reference);
+      const discontinuity = i > 0 && period != lastPeriod;
+      if (discontinuity) {
+        lines.push('#EXT-X-DISCONTINUITY');
+      }
+      lastPeriod = period;
+
+      const initSegmentReference = reference.initSegmentReference;
+      if (initSegmentReference && (i == 0 || !InitSegmentReference.equal(
+          initSegmentReference, lastInitSegmentReference))) {
+        const attributes =
+            ['URI=' + HlsWriter.quote_(initSegmentReference.getUris()[0])];
+        const byteRange = HlsWriter.toByteRange_(initSegmentReference);
+        if (byteRange) {
+          attributes.push('BYTERANGE=' + HlsWriter.quote_(byteRange));
+        }
+        lines.push('#EXT-X-MAP:' + attributes.join(','));
+      }
+      lastInitSegmentReference = initSegmentReference;
+
+      // Static presentations without an availabilityStartTime have no dates.
+      if ((isLive || presentationStartTime) && (i == 0 || discontinuity)) {
+        const date = new Date(
+            (presentationStartTime + reference.startTime) * 1000);
+        lines.push('#EXT-X-PROGRAM-DATE-TIME:' + date.toISOString());
+      }
+
+      const duration = reference.endTime - reference.startTime;
+      lines.push('#EXTINF:' + duration.toFixed(3) + ',');
+      const byteRange = HlsWriter.toByteRange_(reference);
+      if (byteRange) {
+        lines.push('#EXT-X-BYTERANGE:' + byteRange);
+      }
+      lines.push(reference.getUris()[0]);
+    }
+
+    if (!isLive) {
+      lines.push('#EXT-X-ENDLIST');
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Returns the BYTERANGE value of a reference, as length@offset, or null
+   * if it is a whole resource.
+   *
+   * @param {!(shaka.media.SegmentReference|shaka.media.InitSegmentReference)}
+   *   reference
+   * @return {?string}
+   * @private
+   */
+  static toByteRange_(reference) {
+    if (reference.endByte == null) {
+      return null;
+    }
+    const length = reference.endByte - reference.startByte + 1;
+    return length + '@' + reference.startByte;
+  }
+
+  /**
+   * Quotes an attribute value.  Quoted strings cannot carry double quotes or
+   * line breaks, so those are dropped.
+   *
+   * @param {string} value
+   * @return {string}
+   * @private
+   */
+  static quote_(value) {
+    return '"' + String(value).replace(/["\r\n]/g, '') + '"';
+  }
+};
+
+/**
+ * The protocol version of the playlists, the one fMP4 segments require.
+ * @const {number}
+ */
+HlsWriter.VERSION = 7;
+
+/**
+ * The group of every subtitle rendition.
+ * @const {string}
+ */
+HlsWriter.SUBTITLES_GROUP_ID = 'subs';
+
+module.exports = HlsWriter;
@@ -0,0 +1,90 @@
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const HlsWriter = require('./hls_writer');
+const PresentationTimeline = require('../media/presentation_timeline');
+const {SegmentIndex} = require('../media/segment_index');
+const {InitSegmentReference, SegmentReference} =
+    require('../media/segment_reference');
+
+const initSegmentReference =
+    new InitSegmentReference(() => ['v_init.mp4'], 0, null);
+
+/**
+ * A 2 second segment made of 4 partial segments, as S@k="4" with a
+ * $SubNumber$ template gives it: only its parts have URIs.
+ *
+ * @param {number} number
+ * @return {!SegmentReference}
+ */
+function partialSegment(number) {
+  const start = (number - 1) * 2;
+  const partials = [];
+  for (let i = 0; i < 4; i++) {
+    const partial = new SegmentReference(
+        start + i * 0.5, start + (i + 1) * 0.5,
+        () => [`v_${number}_${i + 1}.m4s`], 0, null, initSegmentReference,
+        0, 0, Infinity);
+    if (i > 0) {
+      partial.markAsNonIndependent();
+    }
+    partials.push(partial);
+  }
+  return new SegmentReference(
+      start, start + 2, () => [], 0, null, initSegmentReference, 0, 0,
+      Infinity, partials, '', null, null, SegmentReference.Status.AVAILABLE,
+      null, /* allPartialSegments= */ true);
+}
+
+/**
+ * @param {string} playlist
+ * @return {!Array.<string>}
+ */
+function segmentUris(playlist) {
+  return playlist.split('\n').filter((line) => line && !line.startsWith('#'));
+}
+
+describe('HlsWriter', () => {
+  describe('createMediaPlaylist', () => {
+    const periods = [{id: 'p0', start: 0}];
+
+    it('writes the parts of $SubNumber$ segments as segments', () => {
+      const timeline = new PresentationTimeline(null, 0);
+      timeline.setStatic(true);
+      timeline.setDuration(4);
+      const segmentIndex =
+          new SegmentIndex([partialSegment(1), partialSegment(2)]);
+
+      const playlist = HlsWriter.createMediaPlaylist(
+          {segmentIndex}, timeline, periods);
+
+      assert.deepStrictEqual(segmentUris(playlist), [
+        'v_1_1.m4s', 'v_1_2.m4s', 'v_1_3.m4s', 'v_1_4.m4s',
+        'v_2_1.m4s', 'v_2_2.m4s', 'v_2_3.m4s', 'v_2_4.m4s',
+      ]);
+      assert.strictEqual(playlist.match(/^#EXTINF:0\.500,$/gm).length, 8);
+      assert.doesNotMatch(playlist, /EXT-X-PART/);
+      assert.match(playlist, /^#EXT-X-TARGETDURATION:1$/m);
+      assert.match(playlist, /^#EXT-X-MEDIA-SEQUENCE:0$/m);
+      // Parts after the first of each segment do not start with a key frame.
+      assert.doesNotMatch(playlist, /EXT-X-INDEPENDENT-SEGMENTS/);
+      assert.match(playlist, /#EXT-X-ENDLIST\n$/);
+    });
+
+    it('counts the parts of evicted segments in the media sequence', () => {
+      const timeline = new PresentationTimeline(1700000000, 0);
+      timeline.setStatic(false);
+      const segmentIndex = new SegmentIndex(
+          [partialSegment(1), partialSegment(2), partialSegment(3)]);
+      segmentIndex.evict(2);
+
+      const playlist = HlsWriter.createMediaPlaylist(
+          {segmentIndex}, timeline, periods);
+
+      assert.match(playlist, /^#EXT-X-MEDIA-SEQUENCE:4$/m);
+      assert.strictEqual(segmentUris(playlist)[0], 'v_2_1.m4s');
+      assert.strictEqual(segmentUris(playlist).length, 8);
+      assert.doesNotMatch(playlist, /EXT-X-ENDLIST/);
+    });
+  });
+});
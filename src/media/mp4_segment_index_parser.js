@@ -1,6 +1,8 @@
 const assert = require('assert');
 const logger = require('../util/logger');
 const {InitSegmentReference, SegmentReference} = require('./segment_reference');
+const Mp4Parser = require('../util/mp4_parser');
+const ParserError = require('../util/parser_error');
 
 
 class Mp4SegmentIndexParser {
@@ -23,7 +25,7 @@ class Mp4SegmentIndexParser {
 
     let references;
 
-    const parser = new shaka.util.Mp4Parser()
+    const parser = new Mp4Parser()
         .fullBox('sidx', (box) => {
           references = Mp4SegmentIndexParser.parseSIDX_(
               sidxOffset,
@@ -42,11 +44,11 @@ class Mp4SegmentIndexParser {
     if (references) {
       return references;
     } else {
-      shaka.log.error('Invalid box type, expected "sidx".');
-      throw new shaka.util.Error(
-          shaka.util.Error.Severity.CRITICAL,
-          shaka.util.Error.Category.MEDIA,
-          shaka.util.Error.Code.MP4_SIDX_WRONG_BOX_TYPE);
+      logger.error('Invalid box type, expected "sidx".');
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MEDIA,
+          ParserError.Code.MP4_SIDX_WRONG_BOX_TYPE);
     }
   }
 
@@ -68,7 +70,7 @@ class Mp4SegmentIndexParser {
   static parseSIDX_(
       sidxOffset, initSegmentReference, timestampOffset, appendWindowStart,
       appendWindowEnd, uris, box) {
-    goog.asserts.assert(
+    assert(
         box.version != null,
         'SIDX is a full box and should have a valid version.');
 
@@ -81,11 +83,11 @@ class Mp4SegmentIndexParser {
     const timescale = box.reader.readUint32();
 
     if (timescale == 0) {
-      shaka.log.error('Invalid timescale.');
-      throw new shaka.util.Error(
-          shaka.util.Error.Severity.CRITICAL,
-          shaka.util.Error.Category.MEDIA,
-          shaka.util.Error.Code.MP4_SIDX_INVALID_TIMESCALE);
+      logger.error('Invalid timescale.');
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MEDIA,
+          ParserError.Code.MP4_SIDX_INVALID_TIMESCALE);
     }
 
     let earliestPresentationTime;
@@ -124,11 +126,11 @@ class Mp4SegmentIndexParser {
       // If |referenceType| is 1 then the reference is to another SIDX.
       // We do not support this.
       if (referenceType == 1) {
-        shaka.log.error('Heirarchical SIDXs are not supported.');
-        throw new shaka.util.Error(
-            shaka.util.Error.Severity.CRITICAL,
-            shaka.util.Error.Category.MEDIA,
-            shaka.util.Error.Code.MP4_SIDX_TYPE_NOT_SUPPORTED);
+        logger.error('Heirarchical SIDXs are not supported.');
+        throw new ParserError(
+            ParserError.Severity.CRITICAL,
+            ParserError.Category.MEDIA,
+            ParserError.Code.MP4_SIDX_TYPE_NOT_SUPPORTED);
       }
 
       // The media timestamps inside the container.
@@ -156,3 +158,5 @@ class Mp4SegmentIndexParser {
     return references;
   }
 };
+
+module.exports = Mp4SegmentIndexParser;
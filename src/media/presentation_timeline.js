@@ -576,6 +576,14 @@ class PresentationTimeline {
         0, now - this.maxSegmentDuration_ - this.presentationStartTime_);
   }
 
+  /**
+   * @return {number} The current wall-clock time, in seconds since the epoch,
+   *   corrected by the clock offset, e.g. from UTCTiming.
+   */
+  getWallClockTime() {
+    return (Date.now() + this.clockOffset_) / 1000.0;
+  }
+
   /**
    * Sets the presentation's segment availability time offset. This should be
    * only set for Low Latency Dash.
@@ -1,6 +1,6 @@
 const assert = require('assert');
 const logger = require('../util/logger');
-const SegmentReference = require('../media/segment_reference');
+const { SegmentReference } = require('../media/segment_reference');
 const Timer = require('../util/timer');
 
 /**
@@ -483,7 +483,7 @@ class SegmentIndex {
         /* presentationTimeOffset= */ startTime,
         /* appendWindowStart= */ startTime,
         /* appendWindowEnd= */ startTime + duration);
-    return SegmentIndex([reference]);
+    return new SegmentIndex([reference]);
   }
 };
 
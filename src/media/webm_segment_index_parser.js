@@ -1,8 +1,9 @@
 
 const assert = require('assert');
 const logger = require('../util/logger');
-const {initSegmentReference, SegmentReference} = require('./segment_reference');
-const {ebmlElement, EbmlParser} = require('../util/ebml_parser');
+const {InitSegmentReference, SegmentReference} = require('./segment_reference');
+const {EbmlElement, EbmlParser} = require('../util/ebml_parser');
+const ParserError = require('../util/parser_error');
 
 
 class WebmSegmentIndexParser {
@@ -68,7 +69,10 @@ class WebmSegmentIndexParser {
     const cuesElement = parser.parseElement();
     if (cuesElement.id != this.CUES_ID) {
       logger.error('Not a Cues element.');
-      throw new Error("WEBM_CUES_ELEMENT_MISSING");
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MEDIA,
+          ParserError.Code.WEBM_CUES_ELEMENT_MISSING);
     }
 
     return this.parseCues_(
@@ -96,13 +100,19 @@ class WebmSegmentIndexParser {
     const ebmlElement = parser.parseElement();
     if (ebmlElement.id != this.EBML_ID) {
       logger.error('Not an EBML element.');
-      throw new Error("WEBM_EBML_HEADER_ELEMENT_MISSING");
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MEDIA,
+          ParserError.Code.WEBM_EBML_HEADER_ELEMENT_MISSING);
     }
 
     const segmentElement = parser.parseElement();
     if (segmentElement.id != this.SEGMENT_ID) {
       logger.error('Not a Segment element.');
-      throw new Error("WEBM_SEGMENT_ELEMENT_MISSING");
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MEDIA,
+          ParserError.Code.WEBM_SEGMENT_ELEMENT_MISSING);
     }
 
     // This value is used as the initial offset to the first referenced segment.
@@ -145,7 +155,10 @@ class WebmSegmentIndexParser {
 
     if (!infoElement) {
       logger.error('Not an Info element.');
-      throw new Error("WEBM_INFO_ELEMENT_MISSING");
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MEDIA,
+          ParserError.Code.WEBM_INFO_ELEMENT_MISSING);
     }
 
     return this.parseInfo_(infoElement);
@@ -179,7 +192,10 @@ class WebmSegmentIndexParser {
       }
     }
     if (durationScale == null) {
-      throw new Error("WEBM_DURATION_ELEMENT_MISSING");
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MEDIA,
+          ParserError.Code.WEBM_DURATION_ELEMENT_MISSING);
     }
 
     // The timecode scale factor in units of [seconds / T].
@@ -284,8 +300,11 @@ class WebmSegmentIndexParser {
     // Parse CueTime element.
     const cueTimeElement = parser.parseElement();
     if (cueTimeElement.id != this.CUE_TIME_ID) {
-      logger.warning('Not a CueTime element.');
-      throw new Error("WEBM_CUE_TIME_ELEMENT_MISSING");
+      logger.warn('Not a CueTime element.');
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MEDIA,
+          ParserError.Code.WEBM_CUE_TIME_ELEMENT_MISSING);
     }
     const unscaledTime = cueTimeElement.getUint();
 
@@ -293,8 +312,11 @@ class WebmSegmentIndexParser {
     const cueTrackPositionsElement = parser.parseElement();
     if (cueTrackPositionsElement.id !=
       this.CUE_TRACK_POSITIONS_ID) {
-      logger.warning('Not a CueTrackPositions element.');
-      throw new Error("WEBM_CUE_TRACK_POSITIONS_ELEMENT_MISSING");
+      logger.warn('Not a CueTrackPositions element.');
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MEDIA,
+          ParserError.Code.WEBM_CUE_TRACK_POSITIONS_ELEMENT_MISSING);
     }
 
     const cueTrackParser = cueTrackPositionsElement.createParser();
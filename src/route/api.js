@@ -2,6 +2,23 @@ const express = require("express");
 const router = new express.Router();
 
 const ParserBrasiltecpar = require('../controller/parse_brasiltecpar');
+const { createSession, getSessionSegments, deleteSession } = require('../controller/sessions');
+const { inspectPssh } = require('../controller/inspect');
+const { describeManifest } = require('../controller/describe');
+const { getMultivariantPlaylist, getMediaPlaylist } = require('../controller/hls');
+const { rewriteMpd } = require('../controller/rewrite');
+const { getCacheStats } = require('../controller/manifest_cache');
+const { getThumbnails } = require('../controller/thumbnails');
 
 router.post("/parsempd", ParserBrasiltecpar);
+router.post("/sessions", createSession);
+router.get("/sessions/:id/segments", getSessionSegments);
+router.delete("/sessions/:id", deleteSession);
+router.post("/inspect/pssh", inspectPssh);
+router.post("/manifest/describe", describeManifest);
+router.get("/manifest/cache", getCacheStats);
+router.get("/thumbnails", getThumbnails);
+router.get("/hls/:session/master.m3u8", getMultivariantPlaylist);
+router.get("/hls/:session/:streamId.m3u8", getMediaPlaylist);
+router.post("/mpd/rewrite", rewriteMpd);
 module.exports = router;
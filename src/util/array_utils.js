@@ -60,7 +60,7 @@ class ArrayUtils {
    */
   static hasSameElements(a, b, compareFn) {
     if (!compareFn) {
-      compareFn = shaka.util.ArrayUtils.defaultEquals;
+      compareFn = ArrayUtils.defaultEquals;
     }
     if (a.length != b.length) {
       return false;
@@ -93,7 +93,7 @@ class ArrayUtils {
    */
   static equal(a, b, compareFn) {
     if (!compareFn) {
-      compareFn = shaka.util.ArrayUtils.defaultEquals;
+      compareFn = ArrayUtils.defaultEquals;
     }
     if (a.length != b.length) {
       return false;
@@ -10,7 +10,6 @@ class BufferUtils {
    * @suppress {strictMissingProperties}
    */
     static equal(arr1, arr2) {
-        const BufferUtils = shaka.util.BufferUtils;
         if (!arr1 && !arr2) {
             return true;
         }
@@ -1,12 +1,28 @@
 const { URL } = require('url'); // Using Node.js built-in module for URL manipulation
+const axios = require('axios');
 const ManifestParserUtils = require('./manifest_parser_utils');
+const NetworkingUtils = require('./networking_utils');
+const Timer = require('./timer');
+const logger = require('./logger');
 
+/**
+ * @summary Orders the locations of a manifest's content, e.g. its BaseURLs,
+ * by the pathway priority a content steering server gives, as in the DASH-IF
+ * Content Steering specification.
+ *
+ * The steering manifest is fetched again after its TTL, from its RELOAD-URI
+ * if it gives one, telling the server which pathway is in use and the
+ * throughput.  Locations which failed are banned for a while.
+ */
 class ContentSteeringManager {
+  /**
+   * @param {ContentSteeringManager.PlayerInterface} playerInterface
+   */
   constructor(playerInterface) {
     /** @private {?shaka.extern.ManifestConfiguration} */
     this.config_ = null;
 
-    /** @private {?shaka.extern.ManifestParser.PlayerInterface} */
+    /** @private {?ContentSteeringManager.PlayerInterface} */
     this.playerInterface_ = playerInterface;
 
     // /** @private {!shaka.util.OperationManager} */
@@ -24,7 +40,7 @@ class ContentSteeringManager {
     /** @private {?string} */
     this.lastPathwayUsed_ = null;
 
-    /** @private {!Array.<shaka.util.ContentSteeringManager.PathawayClone>} */
+    /** @private {!Array.<ContentSteeringManager.PathwayClone>} */
     this.pathwayClones_ = [];
 
     /**
@@ -40,47 +56,206 @@ class ContentSteeringManager {
     /** @private {!Map.<string, number>} */
     this.bannedLocations_ = new Map();
 
-    /** @private {?shaka.util.Timer} */
+    /**
+     * The PARAMS of the pathway clones, by the directory of the locations
+     * they apply to, which the URIs on the pathway are under.
+     *
+     * @private {!Map.<string, !Object.<string, string>>}
+     */
+    this.pathwayParams_ = new Map();
+
+    /** @private {?Timer} */
     this.updateTimer_ = null;
 
     /** @private {string} */
     this.manifestType_ = 'unknown';
   }
 
+  /**
+   * @param {shaka.extern.ManifestConfiguration} config
+   */
   configure(config) {
-    this.config = config;
+    this.config_ = config;
   }
 
   destroy() {
-    // Implement destroy logic
+    this.config_ = null;
+    this.playerInterface_ = null;
+    this.baseUris_ = [];
+    this.defaultPathwayId_ = null;
+    this.pathwayPriority_ = [];
+    this.pathwayClones_ = [];
+    this.locations_.clear();
+    this.bannedLocations_.clear();
+    this.pathwayParams_.clear();
+
+    if (this.updateTimer_ != null) {
+      this.updateTimer_.stop();
+      this.updateTimer_ = null;
+    }
   }
 
+  /**
+   * @param {string} manifestType 'DASH' or 'HLS'.
+   */
   setManifestType(manifestType) {
-    this.manifestType = manifestType;
+    this.manifestType_ = manifestType;
   }
 
+  /**
+   * @param {!Array.<string>} baseUris
+   */
   setBaseUris(baseUris) {
-    this.baseUris = baseUris;
+    this.baseUris_ = baseUris;
   }
 
+  /**
+   * @param {?string} defaultPathwayId
+   */
   setDefaultPathwayId(defaultPathwayId) {
-    this.defaultPathwayId = defaultPathwayId;
+    this.defaultPathwayId_ = defaultPathwayId;
+  }
+
+  /**
+   * @return {?string} The pathway of the locations last handed out.
+   */
+  getLastPathwayUsed() {
+    return this.lastPathwayUsed_;
+  }
+
+  /**
+   * @return {!Array.<string>} The pathways, best first, as the steering
+   *   server last gave them.
+   */
+  getPathwayPriority() {
+    return this.pathwayPriority_.slice();
   }
 
+  /**
+   * Requests the steering manifest, and schedules the next request.  Never
+   * throws: if the request fails, it is tried again after the last TTL.
+   *
+   * @param {string} uri
+   * @return {!Promise}
+   */
   async requestInfo(uri) {
-    // Implement requestInfo logic
+    if (!this.playerInterface_) {
+      return;
+    }
+
+    const uris = ManifestParserUtils.resolveUris(this.baseUris_, [uri])
+        .map((uri) => this.addQueryParams(uri));
+    const requestOptions = this.playerInterface_.createRequestOptions();
+    requestOptions.responseType = 'text';
+    requestOptions.transformResponse = (data) => data;
+
+    try {
+      let response = null;
+      let lastError = null;
+      for (const uri of uris) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          response = await axios.get(uri, requestOptions);
+          break;
+        } catch (err) {
+          lastError = NetworkingUtils.createHttpError(err, uri);
+        }
+      }
+      if (!response) {
+        throw lastError;
+      }
+
+      // Detect calls to destroy().
+      if (!this.playerInterface_) {
+        return;
+      }
+
+      const steeringManifest =
+        /** @type {ContentSteeringManager.SteeringManifest} */ (
+          JSON.parse(response.data));
+      if (steeringManifest['VERSION'] == 1) {
+        const finalUri = (response.request && response.request.res &&
+            response.request.res.responseUrl) || response.config.url;
+        this.processManifest(steeringManifest, finalUri);
+      } else {
+        logger.warn('Unsupported steering manifest version ' +
+            steeringManifest['VERSION']);
+      }
+    } catch (err) {
+      // Detect calls to destroy().
+      if (!this.playerInterface_) {
+        return;
+      }
+      logger.warn(`Error fetching steering manifest ${uris[0]}: ` +
+          `${err.message}`);
+      if (this.updateTimer_ != null) {
+        this.updateTimer_.stop();
+      }
+      this.updateTimer_ = new Timer(() => {
+        this.requestInfo(uri);
+      });
+      this.updateTimer_.tickAfter(this.lastTTL_);
+    }
   }
 
+  /**
+   * Tells the steering server which pathway is in use, and the throughput.
+   *
+   * @param {string} uri
+   * @return {string}
+   */
   addQueryParams(uri) {
-    // Implement addQueryParams logic
+    if (!this.pathwayPriority_.length) {
+      return uri;
+    }
+    const finalUri = new URL(uri);
+    const currentPathwayID =
+        this.lastPathwayUsed_ || this.pathwayPriority_[0];
+    const currentBandwidth =
+        Math.round(this.playerInterface_.getBandwidthEstimate());
+    // Set rather than appended, since a RELOAD-URI may carry the previous
+    // values.
+    if (this.manifestType_ == 'DASH') {
+      finalUri.searchParams.set('_DASH_pathway', currentPathwayID);
+      finalUri.searchParams.set('_DASH_throughput', String(currentBandwidth));
+    } else if (this.manifestType_ == 'HLS') {
+      finalUri.searchParams.set('_HLS_pathway', currentPathwayID);
+      finalUri.searchParams.set('_HLS_throughput', String(currentBandwidth));
+    }
+    return finalUri.toString();
   }
 
+  /**
+   * @param {ContentSteeringManager.SteeringManifest} manifest
+   * @param {string} finalManifestUri
+   */
   processManifest(manifest, finalManifestUri) {
-    // Implement processManifest logic
+    if (this.updateTimer_ != null) {
+      this.updateTimer_.stop();
+      this.updateTimer_ = null;
+    }
+    const uri = manifest['RELOAD-URI'] ?
+        new URL(manifest['RELOAD-URI'], finalManifestUri).toString() :
+        finalManifestUri;
+    this.updateTimer_ = new Timer(() => {
+      this.requestInfo(uri);
+    });
+    const newTTL = manifest['TTL'];
+    if (newTTL) {
+      this.lastTTL_ = newTTL;
+    }
+    this.updateTimer_.tickAfter(this.lastTTL_);
+    this.pathwayPriority_ = manifest['PATHWAY-PRIORITY'] || [];
+    this.pathwayClones_ = manifest['PATHWAY-CLONES'] || [];
+    this.pathwayParams_.clear();
+
+    logger.debug(`Steering to pathways ${this.pathwayPriority_.join(',')}, ` +
+        `next update in ${this.lastTTL_} seconds`);
   }
 
   clearPreviousLocations() {
     this.locations_.clear();
+    this.pathwayParams_.clear();
   }
 
   /**
@@ -97,92 +272,240 @@ class ContentSteeringManager {
     this.locations_.set(streamId, streamLocations);
   }
 
+  /**
+   * Skips the host of the URI for a while, e.g. after a request to it
+   * failed.
+   *
+   * @param {string} uri
+   */
   banLocation(uri) {
-    const bannedUntil = Date.now() + 60000;
+    const bannedUntil = Date.now() + ContentSteeringManager.BAN_DURATION_ * 1000;
     this.bannedLocations_.set(uri, bannedUntil);
   }
 
-    /**
+  /**
    * Get the base locations ordered according the priority.
    *
    * @param {string|number} streamId
    * @param {boolean=} ignoreBaseUrls
    * @return {!Array.<string>}
    */
-    getLocations(streamId, ignoreBaseUrls = false) {
-      const streamLocations = this.locations_.get(streamId) || new Map();
-      /** @type {!Array.<!{pathwayId: string, location: string}>} */
-      let locationsPathwayIdMap = [];
-      for (const pathwayId of this.pathwayPriority_) {
-        const location = streamLocations.get(pathwayId);
-        if (location) {
-          locationsPathwayIdMap.push({pathwayId, location});
-        } else {
-          const clone = this.pathwayClones_.find((c) => c.ID == pathwayId);
-          if (clone) {
-            const cloneLocation = streamLocations.get(clone['BASE-ID']);
-            if (cloneLocation) {
-              if (clone['URI-REPLACEMENT'].HOST) {
-                const uri = new goog.Uri(cloneLocation);
-                uri.setDomain(clone['URI-REPLACEMENT'].HOST);
-                locationsPathwayIdMap.push({
-                  pathwayId: pathwayId,
-                  location: uri.toString(),
-                });
-              } else {
-                locationsPathwayIdMap.push({
-                  pathwayId: pathwayId,
-                  location: cloneLocation,
-                });
-              }
+  getLocations(streamId, ignoreBaseUrls = false) {
+    const streamLocations = this.locations_.get(streamId) || new Map();
+    /** @type {!Array.<!{pathwayId: string, location: string}>} */
+    let locationsPathwayIdMap = [];
+    for (const pathwayId of this.pathwayPriority_) {
+      const location = streamLocations.get(pathwayId);
+      if (location) {
+        locationsPathwayIdMap.push({pathwayId, location});
+      } else {
+        const clone = this.pathwayClones_.find((c) => c.ID == pathwayId);
+        if (clone) {
+          const cloneLocation = streamLocations.get(clone['BASE-ID']);
+          if (cloneLocation) {
+            const replacement = clone['URI-REPLACEMENT'] || {};
+            const location = this.cloneLocation_(cloneLocation, replacement);
+            if (replacement.PARAMS && Object.keys(replacement.PARAMS).length) {
+              const uri = new URL(location);
+              const directory = uri.origin +
+                  uri.pathname.substring(0, uri.pathname.lastIndexOf('/') + 1);
+              this.pathwayParams_.set(directory, replacement.PARAMS);
             }
+            locationsPathwayIdMap.push({pathwayId, location});
           }
         }
       }
+    }
 
-      const now = Date.now();
+    const now = Date.now();
+    for (const uri of this.bannedLocations_.keys()) {
+      const bannedUntil = this.bannedLocations_.get(uri);
+      if (now > bannedUntil) {
+        this.bannedLocations_.delete(uri);
+      }
+    }
+    locationsPathwayIdMap = locationsPathwayIdMap.filter((l) => {
+      const host = this.getHost_(l.location);
       for (const uri of this.bannedLocations_.keys()) {
-        const bannedUntil = this.bannedLocations_.get(uri);
-        if (now > bannedUntil) {
-          this.bannedLocations_.delete(uri);
+        if (host && this.getHost_(uri) == host) {
+          return false;
         }
       }
-      locationsPathwayIdMap = locationsPathwayIdMap.filter((l) => {
-        for (const uri of this.bannedLocations_.keys()) {
-          if (uri.includes(new goog.Uri(l.location).getDomain())) {
-            return false;
-          }
+      return true;
+    });
+
+    if (locationsPathwayIdMap.length) {
+      this.lastPathwayUsed_ = locationsPathwayIdMap[0].pathwayId;
+    }
+
+    const locations = locationsPathwayIdMap.map((l) => l.location);
+
+    if (!locations.length && this.defaultPathwayId_) {
+      for (const pathwayId of this.defaultPathwayId_.split(',')) {
+        const location = streamLocations.get(pathwayId);
+        if (location) {
+          this.lastPathwayUsed_ = this.defaultPathwayId_;
+          locations.push(location);
         }
-        return true;
-      });
-  
-      if (locationsPathwayIdMap.length) {
-        this.lastPathwayUsed_ = locationsPathwayIdMap[0].pathwayId;
       }
-  
-      const locations = locationsPathwayIdMap.map((l) => l.location);
-  
-      if (!locations.length && this.defaultPathwayId_) {
-        for (const pathwayId of this.defaultPathwayId_.split(',')) {
-          const location = streamLocations.get(pathwayId);
-          if (location) {
-            this.lastPathwayUsed_ = this.defaultPathwayId_;
-            locations.push(location);
-          }
-        }
+    }
+    if (!locations.length) {
+      for (const location of streamLocations.values()) {
+        locations.push(location);
       }
-      if (!locations.length) {
-        for (const location of streamLocations.values()) {
-          locations.push(location);
+    }
+    if (ignoreBaseUrls) {
+      return locations;
+    }
+
+    return ManifestParserUtils.resolveUris(
+        this.baseUris_, locations);
+  }
+
+  /**
+   * Adds the PARAMS of a pathway clone to the URIs on that pathway.  They
+   * cannot be put on the clone's location itself: resolving a segment's path
+   * against it would drop them.
+   *
+   * A clone which only adds PARAMS has the locations of the pathway it
+   * clones, so the URIs of both get them.
+   *
+   * @param {!Array.<string>} uris Resolved URIs, e.g. of a segment.
+   * @return {!Array.<string>}
+   */
+  addPathwayParams(uris) {
+    if (!this.pathwayParams_.size) {
+      return uris;
+    }
+    const withParams = uris.map((uri) => {
+      for (const [directory, params] of this.pathwayParams_) {
+        if (uri.startsWith(directory)) {
+          const finalUri = new URL(uri);
+          for (const [name, value] of Object.entries(params)) {
+            finalUri.searchParams.set(name, String(value));
+          }
+          return finalUri.toString();
         }
       }
-      if (ignoreBaseUrls) {
-        return locations;
-      }
+      return uri;
+    });
+    return Array.from(new Set(withParams));
+  }
+
+  /**
+   * Applies the HOST of a pathway clone's URI-REPLACEMENT to a location of
+   * the pathway it clones.  Its PARAMS are added by addPathwayParams().
+   *
+   * @param {string} location
+   * @param {ContentSteeringManager.UriReplacement} replacement
+   * @return {string} The location, resolved against the base URIs.
+   * @private
+   */
+  cloneLocation_(location, replacement) {
+    const uri = new URL(this.resolve_(location));
+    if (replacement.HOST) {
+      uri.host = replacement.HOST;
+    }
+    return uri.toString();
+  }
 
-      return ManifestParserUtils.resolveUris(
-          this.baseUris_, locations);
+  /**
+   * @param {string} location
+   * @return {string} The host of the location, resolved against the base
+   *   URIs, or '' if it has none.
+   * @private
+   */
+  getHost_(location) {
+    try {
+      return new URL(this.resolve_(location)).host;
+    } catch (err) {
+      return '';
     }
+  }
+
+  /**
+   * @param {string} location
+   * @return {string}
+   * @private
+   */
+  resolve_(location) {
+    return ManifestParserUtils.resolveUris(this.baseUris_, [location])[0];
+  }
 }
 
+/**
+ * How long a location is skipped after it was banned, in seconds.
+ *
+ * @const {number}
+ * @private
+ */
+ContentSteeringManager.BAN_DURATION_ = 60;
+
+/**
+ * @typedef {{
+ *   createRequestOptions: function():!Object,
+ *   getBandwidthEstimate: function():number
+ * }}
+ *
+ * @property {function():!Object} createRequestOptions
+ *   Returns the axios options to fetch the steering manifest with, e.g. the
+ *   manifest's headers and proxy.
+ * @property {function():number} getBandwidthEstimate
+ *   Returns the throughput to report to the steering server, in bits per
+ *   second.
+ */
+ContentSteeringManager.PlayerInterface;
+
+/**
+ * @typedef {{
+ *   VERSION: number,
+ *   TTL: number,
+ *   RELOAD-URI: string,
+ *   PATHWAY-PRIORITY: !Array.<string>,
+ *   PATHWAY-CLONES: !Array.<ContentSteeringManager.PathwayClone>
+ * }}
+ *
+ * @description
+ * Contains information about the Steering Manifest
+ *
+ * @property {number} VERSION
+ * @property {number} TTL
+ *   Seconds until the steering manifest should be fetched again.
+ * @property {string} RELOAD-URI
+ *   Where to fetch it from next time, relative to where it was fetched.
+ * @property {!Array.<string>} PATHWAY-PRIORITY
+ * @property {!Array.<ContentSteeringManager.PathwayClone>} PATHWAY-CLONES
+ */
+ContentSteeringManager.SteeringManifest;
+
+/**
+ * @typedef {{
+ *   BASE-ID: string,
+ *   ID: string,
+ *   URI-REPLACEMENT: !ContentSteeringManager.UriReplacement
+ * }}
+ *
+ * @description
+ * Defines a new pathway, as a copy of another one with its URIs changed.
+ *
+ * @property {string} BASE-ID
+ *   The pathway it is a copy of.
+ * @property {string} ID
+ * @property {!ContentSteeringManager.UriReplacement} URI-REPLACEMENT
+ */
+ContentSteeringManager.PathwayClone;
+
+/**
+ * @typedef {{
+ *   HOST: string,
+ *   PARAMS: !Object.<string, string>
+ * }}
+ *
+ * @property {string} HOST
+ *   Replaces the host of the URIs.
+ * @property {!Object.<string, string>} PARAMS
+ *   Query parameters to add to the URIs.
+ */
+ContentSteeringManager.UriReplacement;
+
 module.exports = ContentSteeringManager;
@@ -1,6 +1,7 @@
 const assert = require('assert');
 const BufferUtils = require('./buffer_utils');
 const StringUtils = require('./string_utils');
+const ParserError = require('./parser_error');
 
 
 const Endianness = {
@@ -154,10 +155,10 @@ class DataViewReader {
     }
 
     if (high > 0x1FFFFF) {
-      throw new shaka.util.Error(
-        shaka.util.Error.Severity.CRITICAL,
-        shaka.util.Error.Category.MEDIA,
-        shaka.util.Error.Code.JS_INTEGER_OVERFLOW);
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MEDIA,
+          ParserError.Code.JS_INTEGER_OVERFLOW);
     }
 
     this.position_ += 8;
@@ -246,7 +247,7 @@ class DataViewReader {
       this.position_ += 1;
     }
 
-    const ret = shaka.util.BufferUtils.toUint8(
+    const ret = BufferUtils.toUint8(
       this.dataView_, start, this.position_ - start);
     // Skip string termination.
     this.position_ += 1;
@@ -255,11 +256,14 @@ class DataViewReader {
 
 
   /**
-   * @return {!shaka.util.Error}
+   * @return {!ParserError}
    * @private
    */
   outOfBounds_() {
-    return new Error("BUFFER_READ_OUT_OF_BOUNDS");
+    return new ParserError(
+        ParserError.Severity.CRITICAL,
+        ParserError.Category.MEDIA,
+        ParserError.Code.BUFFER_READ_OUT_OF_BOUNDS);
   }
 };
 
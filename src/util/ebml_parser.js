@@ -1,6 +1,7 @@
 const assert = require('assert');
 const BufferUtils = require('./buffer_utils');
-const DataViewReader = require('./data_view_reader');
+const { DataViewReader, Endianness } = require('./data_view_reader');
+const ParserError = require('./parser_error');
 
 /**
  * @summary
@@ -31,7 +32,7 @@ class EbmlParser {
 
     /** @private {!shaka.util.DataViewReader} */
     this.reader_ = new DataViewReader(
-      this.dataView_, DataViewReader.Endianness.BIG_ENDIAN);
+      this.dataView_, Endianness.BIG_ENDIAN);
   }
 
   /**
@@ -90,7 +91,10 @@ class EbmlParser {
     const vint = this.parseVint_();
 
     if (vint.length > 7) {
-      throw new Error("EBML_OVERFLOW");
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MEDIA,
+          ParserError.Code.EBML_OVERFLOW);
     }
 
     let id = 0;
@@ -117,7 +121,10 @@ class EbmlParser {
     const position = this.reader_.getPosition();
     const firstByte = this.reader_.readUint8();
     if (firstByte == 0) {
-      throw new Error("EBML_OVERFLOW");
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MEDIA,
+          ParserError.Code.EBML_OVERFLOW);
     }
 
     // Determine the index of the highest bit set.
@@ -146,7 +153,10 @@ class EbmlParser {
     // 0000 0001 | xxxx xxxx ...
     // Thus, the first 3 bits following the first byte of |vint| must be 0.
     if ((vint.length == 8) && (vint[1] & 0xe0)) {
-      throw new Error("JS_INTEGER_OVERFLOW");
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MEDIA,
+          ParserError.Code.JS_INTEGER_OVERFLOW);
     }
 
     let value = 0;
@@ -224,13 +234,19 @@ class EbmlElement {
    */
   getUint() {
     if (this.dataView_.byteLength > 8) {
-      throw new Error("EBML_OVERFLOW");
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MEDIA,
+          ParserError.Code.EBML_OVERFLOW);
     }
 
     // Ensure we have at most 53 meaningful bits.
     if ((this.dataView_.byteLength == 8) &&
       (this.dataView_.getUint8(0) & 0xe0)) {
-      throw new Error("JS_INTEGER_OVERFLOW");
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MEDIA,
+          ParserError.Code.JS_INTEGER_OVERFLOW);
     }
 
     let value = 0;
@@ -255,7 +271,10 @@ class EbmlElement {
     } else if (this.dataView_.byteLength == 8) {
       return this.dataView_.getFloat64(0);
     } else {
-      throw new Error("EBML_BAD_FLOATING_POINT_SIZE");
+      throw new ParserError(
+          ParserError.Severity.CRITICAL,
+          ParserError.Category.MEDIA,
+          ParserError.Code.EBML_BAD_FLOATING_POINT_SIZE);
     }
   }
 };
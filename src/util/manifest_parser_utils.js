@@ -23,6 +23,17 @@ class ManifestParserUtils {
     };
 
 
+    /**
+     * The accessibility purposes a stream can be flagged with.
+     *
+     * @enum {string}
+     */
+    static AccessibilityPurpose = {
+        VISUALLY_IMPAIRED: 'visually impaired',
+        HARD_OF_HEARING: 'hard of hearing',
+    };
+
+
     /**
      * Specifies how tolerant the player is of inaccurate segment start times and
      * end times within a manifest. For example, gaps or overlaps between segments
@@ -121,6 +132,54 @@ class ManifestParserUtils {
                 .map((uri) => uri.toString());
         }
     }
+
+
+    /**
+     * Creates a DrmInfo object from the given info.
+     *
+     * @param {string} keySystem
+     * @param {string} encryptionScheme
+     * @param {Array.<shaka.extern.InitDataOverride>} initData
+     * @return {shaka.extern.DrmInfo}
+     */
+    static createDrmInfo(keySystem, encryptionScheme, initData) {
+        return {
+            keySystem,
+            encryptionScheme,
+            licenseServerUri: '',
+            distinctiveIdentifierRequired: false,
+            persistentStateRequired: false,
+            audioRobustness: '',
+            videoRobustness: '',
+            serverCertificate: null,
+            serverCertificateUri: '',
+            sessionType: '',
+            initData: initData || [],
+            keyIds: new Set(),
+        };
+    }
+
+    /**
+     * Finds the Period a segment belongs to: the last one starting before the
+     * middle of the segment, which is robust to the rounding of segment times
+     * at Period boundaries.
+     *
+     * @param {!Array.<{id: string, start: number}>} periods Ordered by start
+     *   time.
+     * @param {!shaka.media.SegmentReference} reference
+     * @return {?{id: string, start: number}}
+     */
+    static findPeriod(periods, reference) {
+        const middle = (reference.startTime + reference.endTime) / 2;
+        let found = null;
+        for (const period of periods) {
+            if (period.start > middle) {
+                break;
+            }
+            found = period;
+        }
+        return found;
+    }
 }
 
 module.exports = ManifestParserUtils;
@@ -47,8 +47,8 @@ class Mp4Parser {
    * @export
    */
   box(type, definition) {
-    const typeCode = this.typeFromString_(type);
-    this.headers_[typeCode] = this.BoxType_.BASIC_BOX;
+    const typeCode = Mp4Parser.typeFromString_(type);
+    this.headers_[typeCode] = Mp4Parser.BoxType_.BASIC_BOX;
     this.boxDefinitions_[typeCode] = definition;
     return this;
   }
@@ -63,8 +63,8 @@ class Mp4Parser {
    * @export
    */
   fullBox(type, definition) {
-    const typeCode = this.typeFromString_(type);
-    this.headers_[typeCode] = this.BoxType_.FULL_BOX;
+    const typeCode = Mp4Parser.typeFromString_(type);
+    this.headers_[typeCode] = Mp4Parser.BoxType_.FULL_BOX;
     this.boxDefinitions_[typeCode] = definition;
     return this;
   }
@@ -127,9 +127,9 @@ class Mp4Parser {
 
     let size = reader.readUint32();
     const type = reader.readUint32();
-    const name = this.typeToString(type);
+    const name = Mp4Parser.typeToString(type);
     let has64BitSize = false;
-    shaka.log.v2('Parsing MP4 box', name);
+    logger.debug(`Parsing MP4 box ${name}`);
 
     switch (size) {
       case 0:
@@ -151,7 +151,7 @@ class Mp4Parser {
       let version = null;
       let flags = null;
 
-      if (this.headers_[type] == this.BoxType_.FULL_BOX) {
+      if (this.headers_[type] == Mp4Parser.BoxType_.FULL_BOX) {
         if (stopOnPartial && reader.getPosition() + 4 > reader.getLength()) {
           this.done_ = true;
           return;
@@ -177,8 +177,8 @@ class Mp4Parser {
       const payload =
         (payloadSize > 0) ? reader.readBytes(payloadSize) : new Uint8Array(0);
 
-      const payloadReader = new shaka.util.DataViewReader(
-        payload, shaka.util.DataViewReader.Endianness.BIG_ENDIAN);
+      const payloadReader = new DataViewReader(
+        payload, Endianness.BIG_ENDIAN);
 
       /** @type {shaka.extern.ParsedBox} */
       const box = {
@@ -217,7 +217,7 @@ class Mp4Parser {
   static children(box) {
     // The "reader" starts at the payload, so we need to add the header to the
     // start position.  The header size varies.
-    const headerSize = this.headerSize(box);
+    const headerSize = Mp4Parser.headerSize(box);
     while (box.reader.hasMoreData() && !box.parser.done_) {
       box.parser.parseNext(box.start + headerSize, box.reader, box.partialOkay);
     }
@@ -236,7 +236,7 @@ class Mp4Parser {
   static sampleDescription(box) {
     // The "reader" starts at the payload, so we need to add the header to the
     // start position.  The header size varies.
-    const headerSize = this.headerSize(box);
+    const headerSize = Mp4Parser.headerSize(box);
     const count = box.reader.readUint32();
     for (let i = 0; i < count; i++) {
       box.parser.parseNext(box.start + headerSize, box.reader, box.partialOkay);
@@ -259,7 +259,7 @@ class Mp4Parser {
   static visualSampleEntry(box) {
     // The "reader" starts at the payload, so we need to add the header to the
     // start position.  The header size varies.
-    const headerSize = this.headerSize(box);
+    const headerSize = Mp4Parser.headerSize(box);
 
     // Skip 6 reserved bytes.
     // Skip 2-byte data reference index.
@@ -293,7 +293,7 @@ class Mp4Parser {
   static audioSampleEntry(box) {
     // The "reader" starts at the payload, so we need to add the header to the
     // start position.  The header size varies.
-    const headerSize = this.headerSize(box);
+    const headerSize = Mp4Parser.headerSize(box);
 
     // 6 bytes reserved
     // 2 bytes data reference index
@@ -363,7 +363,7 @@ class Mp4Parser {
    * @private
    */
   static typeFromString_(name) {
-    goog.asserts.assert(
+    assert(
       name.length == 4,
       'Mp4 box names must be 4 characters long');
 
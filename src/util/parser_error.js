@@ -0,0 +1,263 @@
+/**
+ * @summary
+ * Describes an error encountered while fetching or parsing a manifest or its
+ * segment indexes, or in the request asking for it, the way Shaka Player's
+ * errors do: a severity, a category and a numeric code, plus data whose
+ * meaning depends on the code.
+ *
+ * The message is the name of the code, e.g. 'DASH_NO_SEGMENT_INFO'.
+ */
+class ParserError extends Error {
+  /**
+   * @param {ParserError.Severity} severity
+   * @param {ParserError.Category} category
+   * @param {ParserError.Code} code
+   * @param {...*} varArgs
+   */
+  constructor(severity, category, code, ...varArgs) {
+    super(ParserError.getCodeName(code));
+    this.name = 'ParserError';
+
+    /** @type {ParserError.Severity} */
+    this.severity = severity;
+    /** @type {ParserError.Category} */
+    this.category = category;
+    /** @type {ParserError.Code} */
+    this.code = code;
+    /** @type {!Array.<*>} */
+    this.data = varArgs;
+  }
+
+  /**
+   * @param {ParserError.Code} code
+   * @return {string} The name of the code, e.g. 'DASH_NO_SEGMENT_INFO'.
+   */
+  static getCodeName(code) {
+    return ParserError.getName_(ParserError.Code, code);
+  }
+
+  /**
+   * @param {ParserError.Category} category
+   * @return {string}
+   */
+  static getCategoryName(category) {
+    return ParserError.getName_(ParserError.Category, category);
+  }
+
+  /**
+   * @param {ParserError.Severity} severity
+   * @return {string}
+   */
+  static getSeverityName(severity) {
+    return ParserError.getName_(ParserError.Severity, severity);
+  }
+
+  /**
+   * @param {!Object.<string, number>} enumObject
+   * @param {number} value
+   * @return {string} The name of the value, or the value itself if it is not
+   *   in the enum.
+   * @private
+   */
+  static getName_(enumObject, value) {
+    const entry = Object.entries(enumObject).find(([, v]) => v == value);
+    return entry ? entry[0] : String(value);
+  }
+};
+
+/**
+ * @enum {number}
+ */
+ParserError.Severity = {
+  /**
+   * An error occurred, but the manifest may still be usable, e.g. a failed
+   * refresh of a live manifest.
+   */
+  RECOVERABLE: 1,
+
+  /**
+   * The manifest, or the part of it being asked for, cannot be used.
+   */
+  CRITICAL: 2,
+};
+
+/**
+ * @enum {number}
+ */
+ParserError.Category = {
+  /** Errors from the network stack. */
+  NETWORK: 1,
+
+  /** Errors parsing text streams. */
+  TEXT: 2,
+
+  /** Errors parsing or processing audio or video streams. */
+  MEDIA: 3,
+
+  /** Errors parsing the Manifest. */
+  MANIFEST: 4,
+
+  /** Requests which cannot be served as they are asked. */
+  REQUEST: 5,
+};
+
+/**
+ * @enum {number}
+ */
+ParserError.Code = {
+  /**
+   * An HTTP network request returned an HTTP status that indicated a failure.
+   * <br> error.data[0] is the URI.
+   * <br> error.data[1] is the status code.
+   * <br> error.data[2] is the response text, or null if the response could
+   *   not be interpreted as text.
+   */
+  BAD_HTTP_STATUS: 1001,
+
+  /**
+   * An HTTP network request failed with an error, but not from the server.
+   * <br> error.data[0] is the URI.
+   * <br> error.data[1] is the original error message.
+   */
+  HTTP_ERROR: 1002,
+
+  /**
+   * A network request timed out.
+   * <br> error.data[0] is the URI.
+   */
+  TIMEOUT: 1003,
+
+  /** Some component tried to read past the end of a buffer. */
+  BUFFER_READ_OUT_OF_BOUNDS: 3000,
+
+  /**
+   * Some component tried to parse an integer that was too large to fit in a
+   * JavaScript number without rounding error.
+   */
+  JS_INTEGER_OVERFLOW: 3001,
+
+  /** The EBML parser used to parse the WebM container encountered an integer,
+   * ID, or other field larger than the maximum supported by the parser. */
+  EBML_OVERFLOW: 3002,
+
+  /** The EBML parser used to parse the WebM container encountered a floating-
+   * point field of a size not supported by the parser. */
+  EBML_BAD_FLOATING_POINT_SIZE: 3003,
+
+  /** The MP4 SIDX parser found the wrong box type. */
+  MP4_SIDX_WRONG_BOX_TYPE: 3004,
+
+  /** The MP4 SIDX parser encountered an invalid timescale. */
+  MP4_SIDX_INVALID_TIMESCALE: 3005,
+
+  /** The MP4 SIDX parser encountered a type of SIDX that is not supported. */
+  MP4_SIDX_TYPE_NOT_SUPPORTED: 3006,
+
+  /** The WebM Cues parser was unable to locate the Cues element. */
+  WEBM_CUES_ELEMENT_MISSING: 3007,
+
+  /** The WebM header parser was unable to locate the Ebml element. */
+  WEBM_EBML_HEADER_ELEMENT_MISSING: 3008,
+
+  /** The WebM header parser was unable to locate the Segment element. */
+  WEBM_SEGMENT_ELEMENT_MISSING: 3009,
+
+  /** The WebM header parser was unable to locate the Info element. */
+  WEBM_INFO_ELEMENT_MISSING: 3010,
+
+  /** The WebM header parser was unable to locate the Duration element. */
+  WEBM_DURATION_ELEMENT_MISSING: 3011,
+
+  /** The WebM Cues parser was unable to locate the Cue Track Positions
+   * element. */
+  WEBM_CUE_TRACK_POSITIONS_ELEMENT_MISSING: 3012,
+
+  /** The WebM Cues parser was unable to locate the Cue Time element. */
+  WEBM_CUE_TIME_ELEMENT_MISSING: 3013,
+
+  /**
+   * The DASH Manifest contained invalid XML markup.
+   * <br> error.data[0] is the URI associated with the XML.
+   */
+  DASH_INVALID_XML: 4001,
+
+  /**
+   * The DASH Manifest contained a Representation with insufficient segment
+   * information.
+   */
+  DASH_NO_SEGMENT_INFO: 4002,
+
+  /** The DASH Manifest contained an AdaptationSet with no Representations. */
+  DASH_EMPTY_ADAPTATION_SET: 4003,
+
+  /** The DASH Manifest contained a Period with no audio or video streams. */
+  DASH_EMPTY_PERIOD: 4004,
+
+  /**
+   * The DASH Manifest does not specify an init segment with a WebM container.
+   */
+  DASH_WEBM_MISSING_INIT: 4005,
+
+  /** The DASH Manifest contained an unsupported container format. */
+  DASH_UNSUPPORTED_CONTAINER: 4006,
+
+  /** The embedded PSSH data has invalid encoding. */
+  DASH_PSSH_BAD_ENCODING: 4007,
+
+  /**
+   * There is an AdaptationSet whose Representations do not have any common
+   * key-systems.
+   */
+  DASH_NO_COMMON_KEY_SYSTEM: 4008,
+
+  /** Having multiple key IDs per Representation is not supported. */
+  DASH_MULTIPLE_KEY_IDS_NOT_SUPPORTED: 4009,
+
+  /** The DASH Manifest specifies conflicting key IDs. */
+  DASH_CONFLICTING_KEY_IDS: 4010,
+
+  /**
+   * The DASH Manifest contained multiple Representations with the same ID.
+   * <br> error.data[0] is the duplicate ID.
+   */
+  DASH_DUPLICATE_REPRESENTATION_ID: 4018,
+
+  /** The DASH Manifest contained an unsupported xlink:actuate. */
+  DASH_UNSUPPORTED_XLINK_ACTUATE: 4027,
+
+  /** The DASH Manifest contained too many levels of xlink references. */
+  DASH_XLINK_DEPTH_LIMIT: 4028,
+
+  /**
+   * The Periods of the manifest could not be combined into continuous
+   * streams.
+   */
+  PERIOD_FLATTENING_FAILED: 4037,
+
+  /**
+   * A stream is encrypted with different DRM configurations in different
+   * Periods.
+   */
+  INCONSISTENT_DRM_ACROSS_PERIODS: 4038,
+
+  /** An AdaptationSet or Representation has more than one AES-128 scheme. */
+  DASH_MULTIPLE_AES_128_PROTECTION: 4044,
+
+  /**
+   * An MPD Patch could not be applied to the manifest.
+   * <br> error.data[0] is the URI of the patch.
+   * <br> error.data[1] is why it could not be applied.
+   */
+  DASH_INVALID_PATCH: 4045,
+
+  /** The rules given to rewrite an MPD do not have the expected shape. */
+  INVALID_REWRITE_RULES: 5000,
+
+  /**
+   * A session cannot be opened, as the most sessions allowed are open.
+   * <br> error.data[0] is how many sessions are allowed.
+   */
+  TOO_MANY_SESSIONS: 5001,
+};
+
+module.exports = ParserError;
@@ -4,6 +4,7 @@ const { SegmentIndex, MetaSegmentIndex } = require('../media/segment_index');
 const LanguageUtils = require('./language_utils');
 const ManifestParserUtils = require('./manifest_parser_utils');
 const MimeUtils = require('./mime_utils');
+const ParserError = require('./parser_error');
 
 
 /**
@@ -467,7 +468,10 @@ class PeriodCombiner {
                 // This output Stream was not properly extended to include streams from
                 // the new period.  This is likely a bug in our algorithm, so throw an
                 // error.
-                throw new Error("PERIOD_FLATTENING_FAILED");
+                throw new ParserError(
+                    ParserError.Severity.CRITICAL,
+                    ParserError.Category.MANIFEST,
+                    ParserError.Code.PERIOD_FLATTENING_FAILED);
             }
 
             // This output stream is now complete with content from all known
@@ -509,7 +513,10 @@ class PeriodCombiner {
                 // an error.
                 logger.error('Unused stream in period-flattening!',
                     stream, outputStreams);
-                throw new Error("PERIOD_FLATTENING_FAILED");
+                throw new ParserError(
+                    ParserError.Severity.CRITICAL,
+                    ParserError.Category.MANIFEST,
+                    ParserError.Code.PERIOD_FLATTENING_FAILED);
             }
         }
 
@@ -650,12 +657,16 @@ class PeriodCombiner {
         // This only exists where T == Stream.
         if (outputStream.createSegmentIndex) {
             // Override the createSegmentIndex function of the outputStream.
+            let segmentIndexPromise = null;
             outputStream.createSegmentIndex = async () => {
                 if (!outputStream.segmentIndex) {
                     outputStream.segmentIndex = new MetaSegmentIndex();
-                    await PeriodCombiner.extendOutputSegmentIndex_(
+                    segmentIndexPromise = PeriodCombiner.extendOutputSegmentIndex_(
                         outputStream, /* firstNewPeriodIndex= */ 0);
                 }
+                // The index is set before it is filled, so concurrent callers
+                // wait for the same per-period segment indexes.
+                await segmentIndexPromise;
             };
             // For T == Stream, we need to create all the per-period segment indexes
             // in advance.  concat() will add them to the output's MetaSegmentIndex.
@@ -849,9 +860,9 @@ class PeriodCombiner {
             output.emsgSchemeIdUris = combineArrays(
                 output.emsgSchemeIdUris, input.emsgSchemeIdUris);
         }
-        // for (const keyId of input.keyIds) {
-        //     output.keyIds.add(keyId);
-        // }
+        for (const keyId of input.keyIds || []) {
+            output.keyIds.add(keyId);
+        }
 
         if (output.originalId == null) {
             output.originalId = input.originalId;
@@ -859,16 +870,18 @@ class PeriodCombiner {
             output.originalId += ',' + (input.originalId || '');
         }
 
-        // const commonDrmInfos = shaka.media.DrmEngine.getCommonDrmInfos(
-        //     output.drmInfos, input.drmInfos);
-        // if (input.drmInfos.length && output.drmInfos.length &&
-        //     !commonDrmInfos.length) {
-        //     throw new Error(
-        //         Error.Severity.CRITICAL,
-        //         Error.Category.MANIFEST,
-        //         Error.Code.INCONSISTENT_DRM_ACROSS_PERIODS);
-        // }
-        // output.drmInfos = commonDrmInfos;
+        const outputDrmInfos = output.drmInfos || [];
+        const inputDrmInfos = input.drmInfos || [];
+        const commonDrmInfos = PeriodCombiner.getCommonDrmInfos_(
+            outputDrmInfos, inputDrmInfos);
+        if (inputDrmInfos.length && outputDrmInfos.length &&
+            !commonDrmInfos.length) {
+            throw new ParserError(
+                ParserError.Severity.CRITICAL,
+                ParserError.Category.MANIFEST,
+                ParserError.Code.INCONSISTENT_DRM_ACROSS_PERIODS);
+        }
+        output.drmInfos = commonDrmInfos;
 
         // The output is encrypted if any input was encrypted.
         output.encrypted = output.encrypted || input.encrypted;
@@ -936,7 +949,7 @@ class PeriodCombiner {
         };
         output.roles = combineArrays(output.roles, input.roles);
 
-        for (const keyId of input.keyIds) {
+        for (const keyId of input.keyIds || []) {
             output.keyIds.add(keyId);
         }
 
@@ -957,6 +970,28 @@ class PeriodCombiner {
         }
     }
 
+    /**
+     * Returns the DrmInfos of |a| whose key system is also listed in |b|.  A
+     * clear stream has no DrmInfos and is compatible with any other, so the
+     * DrmInfos of the other side are returned as they are.
+     *
+     * @param {!Array.<shaka.extern.DrmInfo>} a
+     * @param {!Array.<shaka.extern.DrmInfo>} b
+     * @return {!Array.<shaka.extern.DrmInfo>}
+     * @private
+     */
+    static getCommonDrmInfos_(a, b) {
+        if (!a.length) {
+            return b;
+        }
+        if (!b.length) {
+            return a;
+        }
+        return a.filter((drmA) => {
+            return b.some((drmB) => drmB.keySystem == drmA.keySystem);
+        });
+    }
+
     /**
      * Finds streams in all periods which match the output stream.
      *
@@ -1117,8 +1152,10 @@ class PeriodCombiner {
         if (outputStream.drmInfos) {
             // Check for compatible DRM systems.  Note that clear streams are
             // implicitly compatible with any DRM and with each other.
-            if (!shaka.media.DrmEngine.areDrmCompatible(outputStream.drmInfos,
-                candidate.drmInfos)) {
+            const candidateDrmInfos = candidate.drmInfos || [];
+            if (outputStream.drmInfos.length && candidateDrmInfos.length &&
+                !PeriodCombiner.getCommonDrmInfos_(
+                    outputStream.drmInfos, candidateDrmInfos).length) {
                 return false;
             }
         }
@@ -1138,8 +1175,6 @@ class PeriodCombiner {
      * @private
      */
     static areTextStreamsCompatible_(outputStream, candidate) {
-        const LanguageUtils = LanguageUtils;
-
         // For text, we don't care about MIME type or codec.  We can always switch
         // between text types.
 
@@ -1197,7 +1232,6 @@ class PeriodCombiner {
      * @private
      */
     static isAudioStreamBetterMatch_(outputStream, best, candidate) {
-        const LanguageUtils = LanguageUtils;
         const { BETTER, EQUAL, WORSE } = PeriodCombiner.BetterOrWorse;
 
         // An exact match is better than a non-exact match.
@@ -1407,8 +1441,6 @@ class PeriodCombiner {
      * @private
      */
     static isTextStreamBetterMatch_(outputStream, best, candidate) {
-        const LanguageUtils = LanguageUtils;
-
         // The most important thing is language.  In some cases, we will accept a
         // different language across periods when we must.
         const bestRelatedness = LanguageUtils.relatedness(
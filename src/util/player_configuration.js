@@ -37,6 +37,7 @@ class PlayerConfiguration {
         ignoreSuggestedPresentationDelay: false,
         ignoreEmptyAdaptationSet: false,
         ignoreMaxSegmentDuration: false,
+        updatePeriod: -1,
         keySystemsByURI: {
           'urn:uuid:1077efec-c0b2-4d02-ace3-3c1e52e2fb4b':
             'org.w3.clearkey',
@@ -0,0 +1,261 @@
+const logger = require('./logger');
+const xml_utils = require('./xml_utils');
+const BufferUtils = require('./buffer_utils');
+const StringUtils = require('./string_utils');
+
+/**
+ * @summary Decodes PlayReady Objects (PRO) and the WRMHEADER they carry.
+ *
+ * PlayReady Object format: https://goo.gl/W8yAN4
+ * PlayReady Header format: https://goo.gl/dBzxNA
+ */
+class PlayReady {
+  /**
+   * Decodes a PlayReady Object, as found in mspr:pro elements and in the data
+   * of PlayReady pssh boxes.
+   *
+   * @param {BufferSource} data
+   * @return {!Array.<PlayReady.Record>}
+   */
+  static parsePro(data) {
+    let byteOffset = 0;
+    const view = BufferUtils.toDataView(data);
+
+    // First 4 bytes is the PRO length (DWORD)
+    const byteLength = view.getUint32(byteOffset, /* littleEndian= */ true);
+    byteOffset += 4;
+
+    if (byteLength != view.byteLength) {
+      // Malformed PRO
+      logger.warn('PlayReady Object with invalid length encountered.');
+      return [];
+    }
+
+    // Skip PRO Record count (WORD)
+    byteOffset += 2;
+
+    // Rest of the data contains the PRO Records
+    return PlayReady.parseRecords_(view, byteOffset);
+  }
+
+  /**
+   * Decodes the WRMHEADER of a PlayReady Object, or returns null if it has
+   * none.
+   *
+   * @param {BufferSource} data
+   * @return {?PlayReady.Header}
+   */
+  static parseProHeader(data) {
+    const record = PlayReady.parsePro(data).find((record) => {
+      return record.type == PlayReady.RecordType.RIGHTS_MANAGEMENT;
+    });
+    if (!record) {
+      return null;
+    }
+    return PlayReady.parseHeader(StringUtils.fromUTF16(
+        record.value, /* littleEndian= */ true, /* noThrow= */ true));
+  }
+
+  /**
+   * Decodes a WRMHEADER document.  Versions 4.0 to 4.3 are understood; 4.0
+   * lists one KID as the text of DATA/KID, later versions list them as
+   * attributes of PROTECTINFO/KID or PROTECTINFO/KIDS/KID.
+   *
+   * @param {string} xmlString
+   * @return {?PlayReady.Header}
+   */
+  static parseHeader(xmlString) {
+    const root = xml_utils.parseXmlString(xmlString, 'WRMHEADER');
+    if (!root) {
+      return null;
+    }
+
+    const data = xml_utils.findChild(root, 'DATA');
+    if (!data) {
+      logger.warn('WRMHEADER without a DATA element');
+      return null;
+    }
+
+    const textOf = (parent, name) => {
+      const node = parent ? xml_utils.findChild(parent, name) : null;
+      return node ? xml_utils.getTextContents(node) : null;
+    };
+
+    /** @type {!Array.<PlayReady.Kid>} */
+    const kids = [];
+    const protectInfo = xml_utils.findChild(data, 'PROTECTINFO');
+
+    const legacyKid = textOf(data, 'KID');
+    if (legacyKid) {
+      kids.push(PlayReady.toKid_(legacyKid, textOf(protectInfo, 'ALGID'),
+          textOf(data, 'CHECKSUM')));
+    }
+
+    if (protectInfo) {
+      const kidsNode = xml_utils.findChild(protectInfo, 'KIDS');
+      const kidNodes = xml_utils.findChildren(kidsNode || protectInfo, 'KID');
+      for (const kidNode of kidNodes) {
+        const value = kidNode.attributes['VALUE'];
+        if (value) {
+          kids.push(PlayReady.toKid_(value, kidNode.attributes['ALGID'] ||
+              null, kidNode.attributes['CHECKSUM'] || null));
+        }
+      }
+    }
+
+    return {
+      version: root.attributes['version'] || '',
+      kids,
+      laUrl: textOf(data, 'LA_URL') || '',
+      luiUrl: textOf(data, 'LUI_URL') || '',
+      dsId: textOf(data, 'DS_ID') || null,
+    };
+  }
+
+  /**
+   * Converts a base64 KID of a WRMHEADER into a hex key ID.  PlayReady writes
+   * the GUID with its first three fields little-endian.
+   *
+   * @param {string} kid
+   * @return {string}
+   */
+  static toKeyId(kid) {
+    const bytes = Buffer.from(kid, 'base64');
+    if (bytes.length != 16) {
+      return bytes.toString('hex');
+    }
+    const swapped = Buffer.from(bytes);
+    swapped.writeUInt32BE(bytes.readUInt32LE(0), 0);
+    swapped.writeUInt16BE(bytes.readUInt16LE(4), 4);
+    swapped.writeUInt16BE(bytes.readUInt16LE(6), 6);
+    return swapped.toString('hex');
+  }
+
+  /**
+   * @param {string} kid
+   * @param {?string} algId
+   * @param {?string} checksum
+   * @return {PlayReady.Kid}
+   * @private
+   */
+  static toKid_(kid, algId, checksum) {
+    return {
+      kid,
+      keyId: PlayReady.toKeyId(kid),
+      algId,
+      checksum,
+    };
+  }
+
+  /**
+   * Parses an Array buffer starting at byteOffset for PlayReady Object Records.
+   * Each PRO Record is preceded by its PlayReady Record type and length in
+   * bytes.
+   *
+   * @param {!DataView} view
+   * @param {number} byteOffset
+   * @return {!Array.<PlayReady.Record>}
+   * @private
+   */
+  static parseRecords_(view, byteOffset) {
+    const records = [];
+
+    while (byteOffset < view.byteLength - 1) {
+      const type = view.getUint16(byteOffset, true);
+      byteOffset += 2;
+
+      const byteLength = view.getUint16(byteOffset, true);
+      byteOffset += 2;
+
+      if ((byteLength & 1) != 0 || byteLength + byteOffset > view.byteLength) {
+        logger.warn('Malformed MS PRO object');
+        return [];
+      }
+
+      const recordValue = BufferUtils.toUint8(view, byteOffset, byteLength);
+      records.push({
+        type: type,
+        value: recordValue,
+      });
+
+      byteOffset += byteLength;
+    }
+
+    return records;
+  }
+};
+
+/**
+ * The PlayReady system ID, as used in pssh boxes.
+ * @const {string}
+ */
+PlayReady.SYSTEM_ID = '9a04f07998404286ab92e65be0885f95';
+
+/**
+ * Enum for PlayReady record types.
+ * @enum {number}
+ */
+PlayReady.RecordType = {
+  RIGHTS_MANAGEMENT: 0x001,
+  RESERVED: 0x002,
+  EMBEDDED_LICENSE: 0x003,
+};
+
+/**
+ * @typedef {{
+ *   type: number,
+ *   value: !Uint8Array
+ * }}
+ *
+ * @description
+ * The parsed result of a PlayReady object record.
+ *
+ * @property {number} type
+ *   Type of data stored in the record.
+ * @property {!Uint8Array} value
+ *   Record content.
+ */
+PlayReady.Record;
+
+/**
+ * @typedef {{
+ *   kid: string,
+ *   keyId: string,
+ *   algId: ?string,
+ *   checksum: ?string
+ * }}
+ *
+ * @property {string} kid
+ *   The KID as written in the header, base64.
+ * @property {string} keyId
+ *   The same key ID as hex, in the byte order used by cenc:default_KID.
+ * @property {?string} algId
+ *   AESCTR or AESCBC, if given.
+ * @property {?string} checksum
+ *   The key checksum, base64, if given.
+ */
+PlayReady.Kid;
+
+/**
+ * @typedef {{
+ *   version: string,
+ *   kids: !Array.<PlayReady.Kid>,
+ *   laUrl: string,
+ *   luiUrl: string,
+ *   dsId: ?string
+ * }}
+ *
+ * @property {string} version
+ *   The WRMHEADER version attribute.
+ * @property {!Array.<PlayReady.Kid>} kids
+ *   The key IDs the header lists.
+ * @property {string} laUrl
+ *   The license acquisition URL, or an empty string.
+ * @property {string} luiUrl
+ *   The license UI URL, or an empty string.
+ * @property {?string} dsId
+ *   The domain service ID, if given.
+ */
+PlayReady.Header;
+
+module.exports = PlayReady;
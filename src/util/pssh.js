@@ -0,0 +1,173 @@
+const assert = require('assert');
+const logger = require('./logger');
+const BufferUtils = require('./buffer_utils');
+const Mp4Parser = require('./mp4_parser');
+
+/**
+ * @summary Parse and create PSSH boxes.
+ * @export
+ */
+class Pssh {
+  /**
+   * Parses the pssh boxes of an init segment, or a run of bare pssh boxes.
+   *
+   * @param {!Uint8Array} psshBox
+   */
+  constructor(psshBox) {
+    /**
+     * In hex.
+     * @type {!Array.<string>}
+     */
+    this.systemIds = [];
+
+    /**
+     * In hex.
+     * @type {!Array.<string>}
+     */
+    this.cencKeyIds = [];
+
+    /**
+     * Array of whole pssh boxes.
+     * @type {!Array.<!Uint8Array>}
+     */
+    this.data = [];
+
+    /**
+     * The fields of each pssh box, in the order they were found.
+     * @type {!Array.<Pssh.Box>}
+     */
+    this.boxes = [];
+
+    new Mp4Parser()
+        .box('moov', Mp4Parser.children)
+        .box('moof', Mp4Parser.children)
+        .fullBox('pssh', (box) => this.parsePsshBox_(psshBox, box))
+        .parse(psshBox);
+
+    if (this.data.length == 0) {
+      logger.debug('No pssh box found!');
+    }
+  }
+
+  /**
+   * @param {!Uint8Array} buffer The buffer the box was parsed from.
+   * @param {!shaka.extern.ParsedBox} box
+   * @private
+   */
+  parsePsshBox_(buffer, box) {
+    if (box.version > 1) {
+      logger.debug('Unrecognized PSSH version found!');
+      return;
+    }
+
+    // The "reader" gives us a view on the payload of the box.  Keep the whole
+    // box, header included, as that is what a CDM expects as init data.
+    this.data.push(BufferUtils.toUint8(buffer, box.start, box.size));
+
+    const systemId = Pssh.toHex_(box.reader.readBytes(16));
+    this.systemIds.push(systemId);
+
+    const keyIds = [];
+    if (box.version > 0) {
+      const numKeyIds = box.reader.readUint32();
+      for (let i = 0; i < numKeyIds; i++) {
+        const keyId = Pssh.toHex_(box.reader.readBytes(16));
+        keyIds.push(keyId);
+        this.cencKeyIds.push(keyId);
+      }
+    }
+
+    const dataSize = box.reader.readUint32();
+    const data = box.reader.readBytes(dataSize);
+
+    this.boxes.push({
+      systemId,
+      version: box.version,
+      keyIds,
+      data,
+    });
+  }
+
+  /**
+   * @param {!Uint8Array} bytes
+   * @return {string}
+   * @private
+   */
+  static toHex_(bytes) {
+    return Buffer.from(bytes).toString('hex');
+  }
+
+  /**
+   * Creates a pssh blob from the given system ID, data, keyIds and version.
+   *
+   * @param {!Uint8Array} data
+   * @param {!Uint8Array} systemId
+   * @param {!Set.<string>} keyIds
+   * @param {number} version
+   * @return {!Uint8Array}
+   */
+  static createPssh(data, systemId, keyIds, version) {
+    assert(systemId.byteLength == 16, 'Invalid system ID length');
+    const dataLength = data.length;
+    let psshSize = 0x4 + 0x4 + 0x4 + systemId.length + 0x4 + dataLength;
+    if (version > 0) {
+      psshSize += 0x4 + (16 * keyIds.size);
+    }
+
+    /** @type {!Uint8Array} */
+    const psshBox = new Uint8Array(psshSize);
+    /** @type {!DataView} */
+    const psshData = BufferUtils.toDataView(psshBox);
+
+    let byteCursor = 0;
+    psshData.setUint32(byteCursor, psshSize);
+    byteCursor += 0x4;
+    psshData.setUint32(byteCursor, 0x70737368);  // 'pssh'
+    byteCursor += 0x4;
+    (version < 1) ? psshData.setUint32(byteCursor, 0) :
+        psshData.setUint32(byteCursor, 0x01000000); // version + flags
+    byteCursor += 0x4;
+    psshBox.set(systemId, byteCursor);
+    byteCursor += systemId.length;
+
+    // if version > 0, add KID count and kid values.
+    if (version > 0) {
+      psshData.setUint32(byteCursor, keyIds.size); // KID_count
+      byteCursor += 0x4;
+      for (const keyId of keyIds) {
+        const KID = new Uint8Array(Buffer.from(keyId, 'hex'));
+        psshBox.set(KID, byteCursor);
+        byteCursor += KID.length;
+      }
+    }
+
+    psshData.setUint32(byteCursor, dataLength); // Data_size
+    byteCursor += 0x4;
+    psshBox.set(data, byteCursor); // Data
+    byteCursor += dataLength;
+
+    assert(byteCursor === psshSize, 'PSSH invalid length.');
+    return psshBox;
+  }
+};
+
+/**
+ * @typedef {{
+ *   systemId: string,
+ *   version: number,
+ *   keyIds: !Array.<string>,
+ *   data: !Uint8Array
+ * }}
+ *
+ * @property {string} systemId
+ *   In hex.
+ * @property {number} version
+ *   The box version; only version 1 boxes list key IDs.
+ * @property {!Array.<string>} keyIds
+ *   In hex.
+ * @property {!Uint8Array} data
+ *   The system-specific data, e.g. a PlayReady Object.
+ */
+Pssh.Box;
+
+module.exports = Pssh;
@@ -0,0 +1,681 @@
+const logger = require('./logger');
+const BufferUtils = require('./buffer_utils');
+const xml_utils = require('./xml_utils');
+const {DataViewReader, Endianness} = require('./data_view_reader');
+
+/**
+ * @summary Decodes SCTE-35 splice_info_section payloads, as carried by DASH
+ * EventStream and emsg events, and turns them into ad break cues.
+ * @export
+ */
+class Scte35Parser {
+  /**
+   * The SCTE-35 (SCTE 214-1) event schemes.
+   *
+   * @enum {string}
+   */
+  static Scheme = {
+    XML: 'urn:scte:scte35:2013:xml',
+    XML_BIN: 'urn:scte:scte35:2014:xml+bin',
+    BIN: 'urn:scte:scte35:2013:bin',
+  };
+
+  /**
+   * splice_command_type values.
+   *
+   * @enum {number}
+   */
+  static CommandType = {
+    SPLICE_NULL: 0x00,
+    SPLICE_SCHEDULE: 0x04,
+    SPLICE_INSERT: 0x05,
+    TIME_SIGNAL: 0x06,
+    BANDWIDTH_RESERVATION: 0x07,
+    PRIVATE_COMMAND: 0xff,
+  };
+
+  /**
+   * splice_descriptor_tag values.
+   *
+   * @enum {number}
+   */
+  static DescriptorTag = {
+    AVAIL: 0x00,
+    DTMF: 0x01,
+    SEGMENTATION: 0x02,
+    TIME: 0x03,
+    AUDIO: 0x04,
+  };
+
+  /**
+   * The segmentation_type_id values which start a break, with the value that
+   * ends the same break.
+   *
+   * @private {!Map.<number, number>}
+   */
+  static BREAK_SEGMENTATION_TYPES_ = new Map([
+    [0x22, 0x23], // Break
+    [0x30, 0x31], // Provider Advertisement
+    [0x32, 0x33], // Distributor Advertisement
+    [0x34, 0x35], // Provider Placement Opportunity
+    [0x36, 0x37], // Distributor Placement Opportunity
+    [0x44, 0x45], // Provider Ad Block
+    [0x46, 0x47], // Distributor Ad Block
+  ]);
+
+  /**
+   * PTS values are counted in 90kHz ticks.
+   *
+   * @const {number}
+   */
+  static TIMESCALE = 90000;
+
+  /** @private {number} */
+  static PTS_ROLLOVER_ = Math.pow(2, 33);
+
+  /**
+   * How far, in seconds, a splice time may be from its anchor before the
+   * anchor is taken not to share the splice's PTS timeline.
+   *
+   * @private {number}
+   */
+  static MAX_ANCHOR_DISTANCE_ = 60;
+
+  /**
+   * @param {string} schemeIdUri
+   * @return {boolean}
+   */
+  static isScte35Scheme(schemeIdUri) {
+    return Object.values(Scte35Parser.Scheme).includes(schemeIdUri);
+  }
+
+  /**
+   * Decodes the splice_info_section carried by a DASH event.
+   *
+   * @param {string} schemeIdUri
+   * @param {?(string|!Uint8Array)} messageData
+   * @param {shaka.extern.xml.Node} eventNode
+   * @return {?Scte35Parser.SpliceInfo} Null if there is no SCTE-35 payload.
+   */
+  static parseEvent(schemeIdUri, messageData, eventNode) {
+    const Scheme = Scte35Parser.Scheme;
+
+    switch (schemeIdUri) {
+      case Scheme.BIN:
+        if (messageData == null) {
+          return null;
+        }
+        // The Event carries the section in base64, unless the parser already
+        // decoded it because of @contentEncoding.
+        return Scte35Parser.parse(typeof messageData == 'string' ?
+            new Uint8Array(Buffer.from(messageData, 'base64')) : messageData);
+      case Scheme.XML:
+      case Scheme.XML_BIN: {
+        const signal = Scte35Parser.findChild_(eventNode, 'Signal') || eventNode;
+        const binary = Scte35Parser.findChild_(signal, 'Binary');
+        if (binary) {
+          const base64 = xml_utils.getContents(binary) || '';
+          return Scte35Parser.parse(
+              new Uint8Array(Buffer.from(base64, 'base64')));
+        }
+        const section = Scte35Parser.findChild_(signal, 'SpliceInfoSection');
+        return section ? Scte35Parser.parseXml(section) : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Decodes a binary splice_info_section.
+   *
+   * @param {BufferSource} data
+   * @return {Scte35Parser.SpliceInfo}
+   * @export
+   */
+  static parse(data) {
+    const reader = new DataViewReader(
+        BufferUtils.toUint8(data), Endianness.BIG_ENDIAN);
+
+    const tableId = reader.readUint8();
+    if (tableId != 0xfc) {
+      logger.error(`Invalid SCTE-35 table_id ${tableId}`);
+      throw new Error("SCTE35_INVALID_TABLE_ID");
+    }
+
+    const sectionLength = reader.readUint16() & 0x0fff;
+    const sectionEnd = reader.getPosition() + sectionLength;
+    const protocolVersion = reader.readUint8();
+
+    const encryptionByte = reader.readUint8();
+    const encrypted = (encryptionByte & 0x80) != 0;
+    const ptsAdjustment =
+        (encryptionByte & 0x01) * Math.pow(2, 32) + reader.readUint32();
+    reader.skip(1); // cw_index
+
+    const tierAndLength = reader.readUint8() << 16 | reader.readUint16();
+    const tier = tierAndLength >> 12;
+    const spliceCommandLength = tierAndLength & 0x0fff;
+    const spliceCommandType = reader.readUint8();
+
+    /** @type {Scte35Parser.SpliceInfo} */
+    const info = {
+      tableId,
+      protocolVersion,
+      encrypted,
+      ptsAdjustment,
+      tier,
+      spliceCommandType,
+      spliceCommand: null,
+      descriptors: [],
+    };
+
+    // The rest of an encrypted section can't be read without the key.
+    if (encrypted) {
+      return info;
+    }
+
+    const commandStart = reader.getPosition();
+    info.spliceCommand =
+        Scte35Parser.parseSpliceCommand_(reader, spliceCommandType);
+    // A length of 0xfff is a legacy "unknown length".
+    if (spliceCommandLength != 0x0fff) {
+      reader.seek(commandStart + spliceCommandLength);
+    }
+
+    const descriptorLoopLength = reader.readUint16();
+    const descriptorsEnd = reader.getPosition() + descriptorLoopLength;
+    while (reader.getPosition() + 2 <= descriptorsEnd) {
+      const tag = reader.readUint8();
+      const length = reader.readUint8();
+      const end = reader.getPosition() + length;
+      info.descriptors.push(Scte35Parser.parseDescriptor_(
+          reader.readBytes(length), tag));
+      reader.seek(end);
+    }
+
+    if (sectionEnd >= 4 && sectionEnd <= reader.getLength()) {
+      reader.seek(sectionEnd - 4);
+      info.crc32 = reader.readUint32();
+    }
+
+    return info;
+  }
+
+  /**
+   * Decodes the XML form of a SpliceInfoSection.
+   *
+   * @param {!shaka.extern.xml.Node} section
+   * @return {Scte35Parser.SpliceInfo}
+   * @export
+   */
+  static parseXml(section) {
+    const CommandType = Scte35Parser.CommandType;
+    const int = (elem, name, defaultValue = 0) =>
+      xml_utils.parseAttr(elem, name, xml_utils.parseNonNegativeInt,
+          defaultValue);
+    const bool = (elem, name, defaultValue = false) =>
+      xml_utils.parseAttr(elem, name, xml_utils.parseBoolean, defaultValue);
+
+    /** @type {Scte35Parser.SpliceInfo} */
+    const info = {
+      tableId: 0xfc,
+      protocolVersion: int(section, 'protocolVersion'),
+      encrypted: false,
+      ptsAdjustment: int(section, 'ptsAdjustment'),
+      tier: int(section, 'tier', 0xfff),
+      spliceCommandType: CommandType.SPLICE_NULL,
+      spliceCommand: {},
+      descriptors: [],
+    };
+
+    const spliceTime = (parent) => {
+      const elem = parent && Scte35Parser.findChild_(parent, 'SpliceTime');
+      const ptsTime = elem ? int(elem, 'ptsTime', null) : null;
+      return {timeSpecified: ptsTime != null, ptsTime};
+    };
+
+    const spliceInsert = Scte35Parser.findChild_(section, 'SpliceInsert');
+    const timeSignal = Scte35Parser.findChild_(section, 'TimeSignal');
+
+    if (spliceInsert) {
+      const program = Scte35Parser.findChild_(spliceInsert, 'Program');
+      const breakDuration =
+          Scte35Parser.findChild_(spliceInsert, 'BreakDuration');
+      const components = Scte35Parser.findChildren_(spliceInsert, 'Component');
+      const spliceImmediateFlag = bool(spliceInsert, 'spliceImmediateFlag');
+
+      info.spliceCommandType = CommandType.SPLICE_INSERT;
+      info.spliceCommand = {
+        spliceEventId: int(spliceInsert, 'spliceEventId'),
+        spliceEventCancelIndicator:
+            bool(spliceInsert, 'spliceEventCancelIndicator'),
+        outOfNetworkIndicator: bool(spliceInsert, 'outOfNetworkIndicator'),
+        programSpliceFlag: !components.length,
+        durationFlag: !!breakDuration,
+        spliceImmediateFlag,
+        spliceTime: program && !spliceImmediateFlag ?
+            spliceTime(program) : null,
+        components: components.map((component) => {
+          return {
+            componentTag: int(component, 'componentTag'),
+            spliceTime: spliceImmediateFlag ? null : spliceTime(component),
+          };
+        }),
+        breakDuration: breakDuration ? {
+          autoReturn: bool(breakDuration, 'autoReturn'),
+          duration: int(breakDuration, 'duration'),
+        } : null,
+        uniqueProgramId: int(spliceInsert, 'uniqueProgramId'),
+        availNum: int(spliceInsert, 'availNum'),
+        availsExpected: int(spliceInsert, 'availsExpected'),
+      };
+    } else if (timeSignal) {
+      info.spliceCommandType = CommandType.TIME_SIGNAL;
+      info.spliceCommand = {spliceTime: spliceTime(timeSignal)};
+    }
+
+    for (const descriptor of Scte35Parser.findChildren_(
+        section, 'SegmentationDescriptor')) {
+      const upid = Scte35Parser.findChild_(descriptor, 'SegmentationUpid');
+      const restrictions =
+          Scte35Parser.findChild_(descriptor, 'DeliveryRestrictions');
+      info.descriptors.push({
+        spliceDescriptorTag: Scte35Parser.DescriptorTag.SEGMENTATION,
+        identifier: 'CUEI',
+        segmentationEventId: int(descriptor, 'segmentationEventId'),
+        segmentationEventCancelIndicator:
+            bool(descriptor, 'segmentationEventCancelIndicator'),
+        programSegmentationFlag: true,
+        deliveryNotRestrictedFlag: !restrictions,
+        webDeliveryAllowedFlag: restrictions ?
+            bool(restrictions, 'webDeliveryAllowedFlag') : null,
+        noRegionalBlackoutFlag: restrictions ?
+            bool(restrictions, 'noRegionalBlackoutFlag') : null,
+        archiveAllowedFlag: restrictions ?
+            bool(restrictions, 'archiveAllowedFlag') : null,
+        deviceRestrictions: restrictions ?
+            int(restrictions, 'deviceRestrictions') : null,
+        components: [],
+        segmentationDuration: int(descriptor, 'segmentationDuration', null),
+        segmentationUpidType: upid ? int(upid, 'segmentationUpidType') : 0,
+        segmentationUpid: upid ? xml_utils.getContents(upid) : null,
+        segmentationTypeId: int(descriptor, 'segmentationTypeId'),
+        segmentNum: int(descriptor, 'segmentNum'),
+        segmentsExpected: int(descriptor, 'segmentsExpected'),
+        subSegmentNum: int(descriptor, 'subSegmentNum', null),
+        subSegmentsExpected: int(descriptor, 'subSegmentsExpected', null),
+      });
+    }
+
+    return info;
+  }
+
+  /**
+   * Converts a splice time to wall-clock time.  PTS values roll over every
+   * 2^33 ticks, so the splice time is taken to be the one closest to the
+   * anchor.
+   *
+   * @param {number} ptsTime The splice_time() pts_time, in 90kHz ticks.
+   * @param {number} ptsAdjustment The section's pts_adjustment.
+   * @param {number} anchorPts A PTS, in 90kHz ticks, whose wall-clock time is
+   *   known.
+   * @param {number} anchorWallClock The anchor's wall-clock time, in seconds.
+   * @return {number} The wall-clock time of the splice, in seconds.
+   * @export
+   */
+  static spliceTimeToWallClock(
+      ptsTime, ptsAdjustment, anchorPts, anchorWallClock) {
+    const rollover = Scte35Parser.PTS_ROLLOVER_;
+    const pts = (ptsTime + ptsAdjustment) % rollover;
+    let delta = (pts - anchorPts % rollover) % rollover;
+    if (delta >= rollover / 2) {
+      delta -= rollover;
+    } else if (delta < -rollover / 2) {
+      delta += rollover;
+    }
+    return anchorWallClock + delta / Scte35Parser.TIMESCALE;
+  }
+
+  /**
+   * Turns a splice_info_section into ad break cues.
+   *
+   * The anchor is the event which carried the section: its time on the media
+   * timeline, in 90kHz ticks, and its wall-clock time.  A DASH event is timed
+   * at its splice point (SCTE 214-1), so the event's wall-clock time is used
+   * whenever the splice time can't be placed relative to the anchor.
+   *
+   * @param {Scte35Parser.SpliceInfo} info
+   * @param {{pts: ?number, wallClock: number}} anchor
+   * @return {!Array.<Scte35Parser.Cue>}
+   * @export
+   */
+  static getCues(info, anchor) {
+    const CommandType = Scte35Parser.CommandType;
+    const command = info.spliceCommand;
+    const cues = [];
+    if (!command) {
+      return cues;
+    }
+
+    const spliceTime = command.spliceTime ||
+        (command.components && command.components.length ?
+            command.components[0].spliceTime : null);
+    let time = anchor.wallClock;
+    if (spliceTime && spliceTime.timeSpecified && anchor.pts != null) {
+      const spliceWallClock = Scte35Parser.spliceTimeToWallClock(
+          spliceTime.ptsTime, info.ptsAdjustment, anchor.pts, anchor.wallClock);
+      if (Math.abs(spliceWallClock - anchor.wallClock) <=
+          Scte35Parser.MAX_ANCHOR_DISTANCE_) {
+        time = spliceWallClock;
+      }
+    }
+
+    if (info.spliceCommandType == CommandType.SPLICE_INSERT) {
+      if (command.spliceEventCancelIndicator) {
+        return cues;
+      }
+      const duration = command.breakDuration ?
+          command.breakDuration.duration / Scte35Parser.TIMESCALE : null;
+      cues.push({
+        type: command.outOfNetworkIndicator ? 'CUE-OUT' : 'CUE-IN',
+        time,
+        duration: command.outOfNetworkIndicator ? duration : null,
+        autoReturn: command.breakDuration ?
+            command.breakDuration.autoReturn : null,
+        spliceEventId: command.spliceEventId,
+        segmentationTypeId: null,
+        command: 'splice_insert',
+      });
+    } else if (info.spliceCommandType == CommandType.TIME_SIGNAL) {
+      const breakTypes = Scte35Parser.BREAK_SEGMENTATION_TYPES_;
+      const endTypes = new Set(breakTypes.values());
+      for (const descriptor of info.descriptors) {
+        if (descriptor.spliceDescriptorTag !=
+                Scte35Parser.DescriptorTag.SEGMENTATION ||
+            descriptor.segmentationEventCancelIndicator) {
+          continue;
+        }
+        const typeId = descriptor.segmentationTypeId;
+        if (!breakTypes.has(typeId) && !endTypes.has(typeId)) {
+          continue;
+        }
+        const isStart = breakTypes.has(typeId);
+        const duration = descriptor.segmentationDuration != null ?
+            descriptor.segmentationDuration / Scte35Parser.TIMESCALE : null;
+        cues.push({
+          type: isStart ? 'CUE-OUT' : 'CUE-IN',
+          time,
+          duration: isStart ? duration : null,
+          autoReturn: null,
+          spliceEventId: descriptor.segmentationEventId,
+          segmentationTypeId: typeId,
+          command: 'time_signal',
+        });
+      }
+    }
+
+    return cues;
+  }
+
+  /**
+   * @param {!DataViewReader} reader
+   * @param {number} type
+   * @return {Object}
+   * @private
+   */
+  static parseSpliceCommand_(reader, type) {
+    const CommandType = Scte35Parser.CommandType;
+
+    switch (type) {
+      case CommandType.SPLICE_NULL:
+      case CommandType.BANDWIDTH_RESERVATION:
+        return {};
+      case CommandType.SPLICE_INSERT:
+        return Scte35Parser.parseSpliceInsert_(reader);
+      case CommandType.TIME_SIGNAL:
+        return {spliceTime: Scte35Parser.parseSpliceTime_(reader)};
+      case CommandType.PRIVATE_COMMAND:
+        return {identifier: reader.readUint32()};
+      default:
+        logger.warn(`Unsupported SCTE-35 splice_command_type ${type}`);
+        return {};
+    }
+  }
+
+  /**
+   * @param {!DataViewReader} reader
+   * @return {Object}
+   * @private
+   */
+  static parseSpliceInsert_(reader) {
+    const command = {
+      spliceEventId: reader.readUint32(),
+      spliceEventCancelIndicator: (reader.readUint8() & 0x80) != 0,
+    };
+    if (command.spliceEventCancelIndicator) {
+      return command;
+    }
+
+    const flags = reader.readUint8();
+    command.outOfNetworkIndicator = (flags & 0x80) != 0;
+    command.programSpliceFlag = (flags & 0x40) != 0;
+    command.durationFlag = (flags & 0x20) != 0;
+    command.spliceImmediateFlag = (flags & 0x10) != 0;
+    command.spliceTime = null;
+    command.components = [];
+    command.breakDuration = null;
+
+    if (command.programSpliceFlag && !command.spliceImmediateFlag) {
+      command.spliceTime = Scte35Parser.parseSpliceTime_(reader);
+    }
+    if (!command.programSpliceFlag) {
+      const componentCount = reader.readUint8();
+      for (let i = 0; i < componentCount; i++) {
+        const componentTag = reader.readUint8();
+        const spliceTime = command.spliceImmediateFlag ?
+            null : Scte35Parser.parseSpliceTime_(reader);
+        command.components.push({componentTag, spliceTime});
+      }
+    }
+    if (command.durationFlag) {
+      const first = reader.readUint8();
+      command.breakDuration = {
+        autoReturn: (first & 0x80) != 0,
+        duration: (first & 0x01) * Math.pow(2, 32) + reader.readUint32(),
+      };
+    }
+
+    command.uniqueProgramId = reader.readUint16();
+    command.availNum = reader.readUint8();
+    command.availsExpected = reader.readUint8();
+    return command;
+  }
+
+  /**
+   * @param {!DataViewReader} reader
+   * @return {{timeSpecified: boolean, ptsTime: ?number}}
+   * @private
+   */
+  static parseSpliceTime_(reader) {
+    const first = reader.readUint8();
+    if (!(first & 0x80)) {
+      return {timeSpecified: false, ptsTime: null};
+    }
+    return {
+      timeSpecified: true,
+      ptsTime: (first & 0x01) * Math.pow(2, 32) + reader.readUint32(),
+    };
+  }
+
+  /**
+   * @param {!Uint8Array} data The descriptor, after its tag and length.
+   * @param {number} tag
+   * @return {Object}
+   * @private
+   */
+  static parseDescriptor_(data, tag) {
+    const DescriptorTag = Scte35Parser.DescriptorTag;
+    const reader = new DataViewReader(data, Endianness.BIG_ENDIAN);
+    const descriptor = {
+      spliceDescriptorTag: tag,
+      identifier: String.fromCharCode(...reader.readBytes(4)),
+    };
+
+    switch (tag) {
+      case DescriptorTag.AVAIL:
+        descriptor.providerAvailId = reader.readUint32();
+        break;
+      case DescriptorTag.SEGMENTATION:
+        Scte35Parser.parseSegmentationDescriptor_(reader, descriptor);
+        break;
+      case DescriptorTag.TIME: {
+        const high = reader.readUint16();
+        descriptor.taiSeconds = high * Math.pow(2, 32) + reader.readUint32();
+        descriptor.taiNs = reader.readUint32();
+        descriptor.utcOffset = reader.readUint16();
+        break;
+      }
+      default:
+        descriptor.data = Scte35Parser.toHex_(
+            reader.readBytes(reader.getLength() - reader.getPosition()));
+        break;
+    }
+    return descriptor;
+  }
+
+  /**
+   * @param {!DataViewReader} reader
+   * @param {!Object} descriptor
+   * @private
+   */
+  static parseSegmentationDescriptor_(reader, descriptor) {
+    descriptor.segmentationEventId = reader.readUint32();
+    descriptor.segmentationEventCancelIndicator =
+        (reader.readUint8() & 0x80) != 0;
+    if (descriptor.segmentationEventCancelIndicator) {
+      return;
+    }
+
+    const flags = reader.readUint8();
+    descriptor.programSegmentationFlag = (flags & 0x80) != 0;
+    const segmentationDurationFlag = (flags & 0x40) != 0;
+    descriptor.deliveryNotRestrictedFlag = (flags & 0x20) != 0;
+    if (!descriptor.deliveryNotRestrictedFlag) {
+      descriptor.webDeliveryAllowedFlag = (flags & 0x10) != 0;
+      descriptor.noRegionalBlackoutFlag = (flags & 0x08) != 0;
+      descriptor.archiveAllowedFlag = (flags & 0x04) != 0;
+      descriptor.deviceRestrictions = flags & 0x03;
+    }
+
+    descriptor.components = [];
+    if (!descriptor.programSegmentationFlag) {
+      const componentCount = reader.readUint8();
+      for (let i = 0; i < componentCount; i++) {
+        const componentTag = reader.readUint8();
+        const first = reader.readUint8();
+        const ptsOffset = (first & 0x01) * Math.pow(2, 32) + reader.readUint32();
+        descriptor.components.push({componentTag, ptsOffset});
+      }
+    }
+
+    descriptor.segmentationDuration = null;
+    if (segmentationDurationFlag) {
+      // A 40 bit value.
+      const high = reader.readUint8();
+      descriptor.segmentationDuration =
+          high * Math.pow(2, 32) + reader.readUint32();
+    }
+
+    descriptor.segmentationUpidType = reader.readUint8();
+    const upidLength = reader.readUint8();
+    descriptor.segmentationUpid =
+        Scte35Parser.toHex_(reader.readBytes(upidLength));
+    descriptor.segmentationTypeId = reader.readUint8();
+    descriptor.segmentNum = reader.readUint8();
+    descriptor.segmentsExpected = reader.readUint8();
+
+    // Only present for some types, and missing in older encoders.
+    descriptor.subSegmentNum = null;
+    descriptor.subSegmentsExpected = null;
+    if (reader.getLength() - reader.getPosition() >= 2) {
+      descriptor.subSegmentNum = reader.readUint8();
+      descriptor.subSegmentsExpected = reader.readUint8();
+    }
+  }
+
+  /**
+   * Finds the children with the given local name, whatever their prefix.
+   *
+   * @param {!shaka.extern.xml.Node} elem
+   * @param {string} name
+   * @return {!Array.<!shaka.extern.xml.Node>}
+   * @private
+   */
+  static findChildren_(elem, name) {
+    return xml_utils.getChildNodes(elem).filter((child) => {
+      return child.tagName == name || child.tagName.endsWith(':' + name);
+    });
+  }
+
+  /**
+   * @param {!shaka.extern.xml.Node} elem
+   * @param {string} name
+   * @return {shaka.extern.xml.Node}
+   * @private
+   */
+  static findChild_(elem, name) {
+    return Scte35Parser.findChildren_(elem, name)[0] || null;
+  }
+
+  /**
+   * @param {!Uint8Array} bytes
+   * @return {string}
+   * @private
+   */
+  static toHex_(bytes) {
+    return Array.from(bytes)
+        .map((byte) => byte.toString(16).padStart(2, '0')).join('');
+  }
+};
+
+/**
+ * @typedef {{
+ *   tableId: number,
+ *   protocolVersion: number,
+ *   encrypted: boolean,
+ *   ptsAdjustment: number,
+ *   tier: number,
+ *   spliceCommandType: number,
+ *   spliceCommand: Object,
+ *   descriptors: !Array.<!Object>,
+ *   crc32: (number|undefined)
+ * }}
+ *
+ * @description
+ * A decoded splice_info_section.  Field names follow SCTE-35, in camel case.
+ * Times and durations are in 90kHz ticks.
+ */
+Scte35Parser.SpliceInfo;
+
+/**
+ * @typedef {{
+ *   type: string,
+ *   time: number,
+ *   duration: ?number,
+ *   autoReturn: ?boolean,
+ *   spliceEventId: number,
+ *   segmentationTypeId: ?number,
+ *   command: string
+ * }}
+ *
+ * @property {string} type
+ *   'CUE-OUT' when leaving the network for a break, 'CUE-IN' when returning.
+ * @property {number} time
+ *   The wall-clock time of the splice, in seconds.
+ * @property {?number} duration
+ *   The expected length of the break, in seconds, if known.
+ */
+Scte35Parser.Cue;
+
+module.exports = Scte35Parser;
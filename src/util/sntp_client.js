@@ -0,0 +1,202 @@
+const dgram = require('dgram');
+const net = require('net');
+const logger = require('./logger');
+const BufferUtils = require('./buffer_utils');
+
+/**
+ * @summary A minimal SNTP (RFC 4330) client, plus decoding of the 64-bit NTP
+ * timestamps used by the DASH http-ntp UTCTiming scheme.
+ */
+class SntpClient {
+  /**
+   * Seconds between the NTP epoch (1900-01-01) and the Unix epoch.
+   * @const {number}
+   */
+  static NTP_EPOCH_OFFSET = 2208988800;
+
+  /** @const {number} */
+  static DEFAULT_PORT = 123;
+
+  /** @const {number} */
+  static DEFAULT_TIMEOUT_MS = 2000;
+
+  /** @const {number} */
+  static PACKET_SIZE = 48;
+
+  /**
+   * Splits the value of an ntp/sntp UTCTiming element into servers.  The value
+   * is a whitespace-separated list of "host", "host:port" or "[ipv6]:port".
+   *
+   * @param {string} value
+   * @return {!Array.<{host: string, port: number}>}
+   */
+  static parseServers(value) {
+    return (value || '').trim().split(/\s+/).filter((s) => !!s).map((server) => {
+      const bracketed = /^\[([^\]]+)\](?::(\d+))?$/.exec(server);
+      if (bracketed) {
+        return {
+          host: bracketed[1],
+          port: Number(bracketed[2]) || SntpClient.DEFAULT_PORT,
+        };
+      }
+      // A bare IPv6 address has more than one colon and no port.
+      if (net.isIPv6(server)) {
+        return {host: server, port: SntpClient.DEFAULT_PORT};
+      }
+      const [host, port] = server.split(':');
+      return {host, port: Number(port) || SntpClient.DEFAULT_PORT};
+    });
+  }
+
+  /**
+   * Queries the given servers in order and returns the clock offset from the
+   * first one that answers.
+   *
+   * @param {string} value The UTCTiming element's value.
+   * @param {number=} timeoutMs Per-server timeout.
+   * @return {!Promise.<number>} The clock offset in milliseconds.
+   */
+  static async getClockOffset(value, timeoutMs = SntpClient.DEFAULT_TIMEOUT_MS) {
+    const servers = SntpClient.parseServers(value);
+    let lastError = new Error('No NTP server given');
+    for (const server of servers) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        return await SntpClient.query(server.host, server.port, timeoutMs);
+      } catch (err) {
+        logger.warn(`NTP server ${server.host}:${server.port} failed: ` +
+            err.message);
+        lastError = err;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Sends a single SNTP client request.
+   *
+   * @param {string} host
+   * @param {number} port
+   * @param {number} timeoutMs
+   * @return {!Promise.<number>} The clock offset in milliseconds.
+   */
+  static query(host, port, timeoutMs) {
+    const type = net.isIPv6(host) ? 'udp6' : 'udp4';
+    const socket = dgram.createSocket(type);
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const finish = (err, offset) => {
+        clearTimeout(timer);
+        socket.close();
+        if (err) {
+          reject(err);
+        } else {
+          resolve(offset);
+        }
+      };
+
+      const request = Buffer.alloc(SntpClient.PACKET_SIZE);
+      // LI = 0 (no warning), VN = 4, Mode = 3 (client).
+      request[0] = (4 << 3) | 3;
+      const originateTime = Date.now();
+      SntpClient.writeTimestamp_(request, 40, originateTime);
+
+      socket.on('error', (err) => finish(err));
+      socket.on('message', (message) => {
+        const destinationTime = Date.now();
+        try {
+          const offset = SntpClient.parseResponse_(
+              message, request.subarray(40, 48), originateTime,
+              destinationTime);
+          finish(null, offset);
+        } catch (err) {
+          finish(err);
+        }
+      });
+
+      timer = setTimeout(() => {
+        finish(new Error(`NTP request timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      socket.send(request, port, host, (err) => {
+        if (err) {
+          finish(err);
+        }
+      });
+    });
+  }
+
+  /**
+   * Decodes a 64-bit NTP timestamp (32-bit seconds since 1900 and a 32-bit
+   * fraction) into milliseconds since the Unix epoch.
+   *
+   * @param {BufferSource} data
+   * @param {number=} offset The byte offset of the timestamp.
+   * @return {number}
+   */
+  static decodeTimestamp(data, offset = 0) {
+    const view = BufferUtils.toDataView(data);
+    if (view.byteLength < offset + 8) {
+      throw new Error('NTP timestamp must be 8 bytes long');
+    }
+    const seconds = view.getUint32(offset);
+    const fraction = view.getUint32(offset + 4);
+    return (seconds - SntpClient.NTP_EPOCH_OFFSET) * 1000 +
+        (fraction / 0x100000000) * 1000;
+  }
+
+  /**
+   * Validates a server response and computes the clock offset from it.
+   *
+   * @param {!Buffer} message
+   * @param {!Buffer} sentTransmitTimestamp The raw timestamp we sent.
+   * @param {number} originateTime When the request was sent, in ms.
+   * @param {number} destinationTime When the response arrived, in ms.
+   * @return {number} The clock offset in milliseconds.
+   * @private
+   */
+  static parseResponse_(message, sentTransmitTimestamp, originateTime,
+      destinationTime) {
+    if (message.length < SntpClient.PACKET_SIZE) {
+      throw new Error('NTP response is too short');
+    }
+    const mode = message[0] & 0x7;
+    // Mode 4 is "server", mode 5 is "broadcast".
+    if (mode != 4 && mode != 5) {
+      throw new Error(`Unexpected NTP mode ${mode}`);
+    }
+    const stratum = message[1];
+    if (stratum == 0) {
+      // A "kiss-o'-death" packet, the server asks us to go away.
+      const code = message.toString('ascii', 12, 16);
+      throw new Error(`NTP server sent kiss code ${code}`);
+    }
+    if (!message.subarray(24, 32).equals(sentTransmitTimestamp)) {
+      throw new Error('NTP response does not match the request');
+    }
+
+    const receiveTime = SntpClient.decodeTimestamp(message, 32);
+    const transmitTime = SntpClient.decodeTimestamp(message, 40);
+
+    return ((receiveTime - originateTime) +
+        (transmitTime - destinationTime)) / 2;
+  }
+
+  /**
+   * Writes milliseconds since the Unix epoch as a 64-bit NTP timestamp.
+   *
+   * @param {!Buffer} buffer
+   * @param {number} offset
+   * @param {number} time
+   * @private
+   */
+  static writeTimestamp_(buffer, offset, time) {
+    const seconds = Math.floor(time / 1000) + SntpClient.NTP_EPOCH_OFFSET;
+    const fraction = Math.floor(((time % 1000) / 1000) * 0x100000000);
+    buffer.writeUInt32BE(seconds >>> 0, offset);
+    buffer.writeUInt32BE(fraction >>> 0, offset + 4);
+  }
+};
+
+module.exports = SntpClient;
@@ -0,0 +1,151 @@
+const assert = require('assert');
+const dgram = require('dgram');
+const {describe, it, before, after} = require('node:test');
+
+const SntpClient = require('./sntp_client');
+
+/**
+ * Builds a server response to |request|, as a server whose clock is ahead of
+ * ours by |offsetMs| would send it.
+ *
+ * @param {!Buffer} request
+ * @param {number} offsetMs
+ * @return {!Buffer}
+ */
+function respond(request, offsetMs) {
+  const response = Buffer.alloc(SntpClient.PACKET_SIZE);
+  // LI = 0, VN = 4, Mode = 4 (server).
+  response[0] = (4 << 3) | 4;
+  response[1] = 1;
+  request.copy(response, 24, 40, 48);
+  const now = Date.now() + offsetMs;
+  SntpClient.writeTimestamp_(response, 32, now);
+  SntpClient.writeTimestamp_(response, 40, now);
+  return response;
+}
+
+describe('SntpClient', () => {
+  describe('parseServers', () => {
+    it('splits hosts, ports and IPv6 addresses', () => {
+      assert.deepStrictEqual(
+          SntpClient.parseServers(' a.example  b.example:1234 [::1]:99 ::1 '),
+          [
+            {host: 'a.example', port: 123},
+            {host: 'b.example', port: 1234},
+            {host: '::1', port: 99},
+            {host: '::1', port: 123},
+          ]);
+      assert.deepStrictEqual(SntpClient.parseServers(''), []);
+    });
+  });
+
+  describe('decodeTimestamp', () => {
+    it('decodes seconds since 1900 and the fraction', () => {
+      const data = Buffer.alloc(8);
+      data.writeUInt32BE(SntpClient.NTP_EPOCH_OFFSET + 1, 0);
+      data.writeUInt32BE(0x80000000, 4);
+      assert.strictEqual(SntpClient.decodeTimestamp(data), 1500);
+    });
+
+    it('reads at an offset', () => {
+      const data = Buffer.alloc(12);
+      data.writeUInt32BE(SntpClient.NTP_EPOCH_OFFSET, 4);
+      assert.strictEqual(SntpClient.decodeTimestamp(data, 4), 0);
+    });
+
+    it('round-trips with writeTimestamp_', () => {
+      const data = Buffer.alloc(8);
+      SntpClient.writeTimestamp_(data, 0, 1700000000123);
+      assert.ok(Math.abs(SntpClient.decodeTimestamp(data) - 1700000000123) < 1);
+    });
+
+    it('rejects short timestamps', () => {
+      assert.throws(() => SntpClient.decodeTimestamp(new Uint8Array(7)),
+          /8 bytes long/);
+    });
+  });
+
+  describe('parseResponse_', () => {
+    const request = Buffer.alloc(SntpClient.PACKET_SIZE);
+    SntpClient.writeTimestamp_(request, 40, Date.now());
+    const sent = request.subarray(40, 48);
+
+    const parse = (response) => SntpClient.parseResponse_(
+        response, sent, Date.now(), Date.now());
+
+    it('computes the clock offset', () => {
+      const offset = parse(respond(request, 5000));
+      assert.ok(Math.abs(offset - 5000) < 100, `offset ${offset}`);
+    });
+
+    it('rejects short responses', () => {
+      assert.throws(() => parse(Buffer.alloc(47)), /too short/);
+    });
+
+    it('rejects responses not from a server', () => {
+      const response = respond(request, 0);
+      // Mode 3 (client).
+      response[0] = (4 << 3) | 3;
+      assert.throws(() => parse(response), /Unexpected NTP mode 3/);
+    });
+
+    it('rejects kiss-o\'-death packets', () => {
+      const response = respond(request, 0);
+      response[1] = 0;
+      response.write('RATE', 12, 'ascii');
+      assert.throws(() => parse(response), /kiss code RATE/);
+    });
+
+    it('rejects responses to another request', () => {
+      const response = respond(request, 0);
+      response[31] ^= 0xff;
+      assert.throws(() => parse(response), /does not match the request/);
+    });
+  });
+
+  describe('getClockOffset', () => {
+    /** @type {dgram.Socket} */
+    let server;
+    let port;
+    /** @type {dgram.Socket} */
+    let silent;
+    let silentPort;
+
+    before(async () => {
+      // A local stand-in for an NTP server, 3 seconds ahead of us, and one
+      // which never answers.
+      server = dgram.createSocket('udp4');
+      server.on('message', (message, rinfo) => {
+        server.send(respond(message, 3000), rinfo.port, rinfo.address);
+      });
+      silent = dgram.createSocket('udp4');
+      await Promise.all([server, silent].map((socket) =>
+        new Promise((resolve) => socket.bind(0, '127.0.0.1', resolve))));
+      port = server.address().port;
+      silentPort = silent.address().port;
+    });
+
+    after(() => {
+      server.close();
+      silent.close();
+    });
+
+    it('queries the server', async () => {
+      const offset = await SntpClient.getClockOffset(`127.0.0.1:${port}`);
+      assert.ok(Math.abs(offset - 3000) < 100, `offset ${offset}`);
+    });
+
+    it('falls back to the next server', async () => {
+      const offset = await SntpClient.getClockOffset(
+          `127.0.0.1:${silentPort} 127.0.0.1:${port}`, 200);
+      assert.ok(Math.abs(offset - 3000) < 100, `offset ${offset}`);
+    });
+
+    it('fails when no server answers', async () => {
+      await assert.rejects(
+          SntpClient.getClockOffset(`127.0.0.1:${silentPort}`, 200),
+          /timed out after 200ms/);
+      await assert.rejects(SntpClient.getClockOffset(''), /No NTP server/);
+    });
+  });
+});
@@ -0,0 +1,399 @@
+const LanguageUtils = require('./language_utils');
+
+/**
+ * @summary A set of utility functions for dealing with Streams and Variants.
+ */
+class StreamUtils {
+  /**
+   * Checks if the given stream was built from the Representation with the
+   * given id.  A stream spanning several Periods carries the ids of each of
+   * them, comma-separated.
+   *
+   * @param {?shaka.extern.Stream} stream
+   * @param {string} representationId
+   * @return {boolean}
+   */
+  static hasRepresentation(stream, representationId) {
+    if (!stream || stream.originalId == null) {
+      return false;
+    }
+    return stream.originalId == representationId ||
+        stream.originalId.split(',').includes(representationId);
+  }
+
+  /**
+   * Checks if the given variant meets the given restrictions.  Bandwidth is
+   * checked against the variant's video stream, or the variant itself for
+   * audio-only content.
+   *
+   * @param {shaka.extern.Variant} variant
+   * @param {shaka.extern.Restrictions} restrictions
+   * @param {{width: number, height:number}} maxHwRes
+   * @return {boolean}
+   */
+  static meetsRestrictions(variant, restrictions, maxHwRes) {
+    /** @type {function(number, number, number):boolean} */
+    const inRange = (x, min, max) => {
+      return x >= min && x <= max;
+    };
+
+    const video = variant.video;
+
+    // |video.width| and |video.height| can be undefined, which breaks
+    // the math, so make sure they are there first.
+    if (video && video.width && video.height) {
+      let videoWidth = video.width;
+      let videoHeight = video.height;
+      if (videoHeight > videoWidth) {
+        // Vertical video.
+        [videoWidth, videoHeight] = [videoHeight, videoWidth];
+      }
+
+      if (!inRange(videoWidth,
+          restrictions.minWidth,
+          Math.min(restrictions.maxWidth, maxHwRes.width))) {
+        return false;
+      }
+
+      if (!inRange(videoHeight,
+          restrictions.minHeight,
+          Math.min(restrictions.maxHeight, maxHwRes.height))) {
+        return false;
+      }
+
+      if (!inRange(video.width * video.height,
+          restrictions.minPixels,
+          restrictions.maxPixels)) {
+        return false;
+      }
+    }
+
+    // |variant.frameRate| can be undefined, which breaks
+    // the math, so make sure they are there first.
+    if (video && video.frameRate) {
+      if (!inRange(video.frameRate,
+          restrictions.minFrameRate,
+          restrictions.maxFrameRate)) {
+        return false;
+      }
+    }
+
+    const bandwidth = video ? video.bandwidth : variant.bandwidth;
+    if (!inRange(bandwidth || 0,
+        restrictions.minBandwidth,
+        restrictions.maxBandwidth)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Picks one variant from the given criteria, the way a player would with
+   * the same preferences and restrictions.
+   *
+   * Representation IDs and the restrictions are requirements; the language,
+   * role, channel count and codecs are preferences, which narrow the choice
+   * only when some variant satisfies them.  Of what is left, the variant
+   * with the highest bandwidth wins.
+   *
+   * @param {!Array.<shaka.extern.Variant>} variants
+   * @param {StreamUtils.Criteria} videoCriteria
+   * @param {StreamUtils.Criteria} audioCriteria
+   * @param {shaka.extern.Restrictions} restrictions The video restrictions.
+   * @return {{variant: ?shaka.extern.Variant, reasons: !Array.<string>}}
+   */
+  static chooseVariant(variants, videoCriteria, audioCriteria, restrictions) {
+    const reasons = [];
+    let candidates = variants;
+
+    const keepOnly = (type, description, predicate) => {
+      const kept = candidates.filter(predicate);
+      reasons.push(`${type}: ${kept.length} of ${candidates.length} ` +
+          `variants ${description}`);
+      candidates = kept;
+    };
+
+    const prefer = (type, description, predicate) => {
+      const kept = candidates.filter(predicate);
+      if (kept.length) {
+        reasons.push(`${type}: ${kept.length} of ${candidates.length} ` +
+            `variants ${description}`);
+        candidates = kept;
+      } else {
+        reasons.push(`${type}: none of ${candidates.length} variants ` +
+            `${description}, ignored`);
+      }
+    };
+
+    for (const [type, criteria] of [
+      ['video', videoCriteria],
+      ['audio', audioCriteria],
+    ]) {
+      if (criteria.representationId) {
+        keepOnly(type, `have representation ${criteria.representationId}`,
+            (v) => StreamUtils.hasRepresentation(
+                v[type], criteria.representationId));
+      }
+
+      if (criteria.preferredLanguage) {
+        const locales = candidates.filter((v) => v[type])
+            .map((v) => LanguageUtils.normalize(v[type].language || 'und'));
+        const locale = LanguageUtils.findClosestLocale(
+            criteria.preferredLanguage, locales);
+        if (locale) {
+          prefer(type, `are in ${locale}, the closest language to ` +
+              criteria.preferredLanguage, (v) => !!v[type] &&
+              LanguageUtils.normalize(v[type].language || 'und') == locale);
+        } else {
+          reasons.push(`${type}: no language close to ` +
+              `${criteria.preferredLanguage}, ignored`);
+        }
+      }
+
+      if (criteria.role) {
+        prefer(type, `have role ${criteria.role}`,
+            (v) => !!v[type] && v[type].roles.includes(criteria.role));
+      }
+
+      if (criteria.channels) {
+        // Like the player, take the most channels not above the preference.
+        const counts = candidates
+            .filter((v) => v[type] && v[type].channelsCount &&
+                v[type].channelsCount <= criteria.channels)
+            .map((v) => v[type].channelsCount);
+        const best = counts.length ? Math.max(...counts) : criteria.channels;
+        prefer(type, `have ${best} channels`,
+            (v) => !!v[type] && v[type].channelsCount == best);
+      }
+
+      if (criteria.codecs) {
+        const codecs = criteria.codecs.toLowerCase();
+        prefer(type, `use ${criteria.codecs}`, (v) => !!v[type] &&
+            v[type].codecs.toLowerCase().startsWith(codecs));
+      }
+    }
+
+    const maxHwRes = {width: Infinity, height: Infinity};
+    keepOnly('video', 'meet the restrictions', (v) => {
+      return StreamUtils.meetsRestrictions(v, restrictions, maxHwRes);
+    });
+
+    if (audioCriteria.minBandwidth || audioCriteria.maxBandwidth) {
+      const min = audioCriteria.minBandwidth || 0;
+      const max = audioCriteria.maxBandwidth || Infinity;
+      keepOnly('audio', `are between ${min} and ${max} bps`, (v) => {
+        const bandwidth = v.audio ? v.audio.bandwidth || 0 : 0;
+        return bandwidth >= min && bandwidth <= max;
+      });
+    }
+
+    if (!candidates.length) {
+      return {variant: null, reasons};
+    }
+
+    const variant = candidates.reduce((best, v) => {
+      return (v.bandwidth || 0) > (best.bandwidth || 0) ? v : best;
+    });
+    reasons.push(`picked the highest bandwidth of ${candidates.length} ` +
+        `variants, ${variant.bandwidth} bps`);
+
+    return {variant, reasons};
+  }
+
+  /**
+   * Picks one text stream from the given criteria.  Unlike the variant
+   * criteria, each one is a requirement: a caller asking for French subtitles
+   * does not want English ones.  Of what is left, the primary stream wins,
+   * then the first one.
+   *
+   * @param {!Array.<shaka.extern.Stream>} textStreams
+   * @param {StreamUtils.Criteria} criteria Only representationId,
+   *   preferredLanguage and kind apply.
+   * @return {{stream: ?shaka.extern.Stream, reasons: !Array.<string>}}
+   */
+  static chooseTextStream(textStreams, criteria) {
+    const reasons = [];
+    let candidates = textStreams;
+
+    const keepOnly = (description, predicate) => {
+      const kept = candidates.filter(predicate);
+      reasons.push(`text: ${kept.length} of ${candidates.length} ` +
+          `streams ${description}`);
+      candidates = kept;
+    };
+
+    if (criteria.representationId) {
+      keepOnly(`have representation ${criteria.representationId}`,
+          (s) => StreamUtils.hasRepresentation(s, criteria.representationId));
+    }
+
+    if (criteria.preferredLanguage) {
+      const locale = LanguageUtils.findClosestLocale(
+          criteria.preferredLanguage,
+          candidates.map((s) => LanguageUtils.normalize(s.language || 'und')));
+      keepOnly(`are in ${locale || criteria.preferredLanguage}`, (s) => {
+        return !!locale &&
+            LanguageUtils.normalize(s.language || 'und') == locale;
+      });
+    }
+
+    if (criteria.kind) {
+      keepOnly(`are of kind ${criteria.kind}`, (s) => s.kind == criteria.kind);
+    }
+
+    if (!candidates.length) {
+      return {stream: null, reasons};
+    }
+
+    const stream = candidates.find((s) => s.primary) || candidates[0];
+    reasons.push(`picked ${stream.primary ? 'the primary' : 'the first'} ` +
+        `of ${candidates.length} streams`);
+
+    return {stream, reasons};
+  }
+
+  /**
+   * Lists the thumbnails of an image segment, the way Shaka Player's
+   * getThumbnails() places them: the image is a grid of tiles, from left to
+   * right and top to bottom, each covering an equal part of the segment
+   * unless the segment gives a tile duration.
+   *
+   * @param {shaka.extern.Stream} stream An image stream.
+   * @param {!shaka.media.SegmentReference} reference One of its segments.
+   * @return {!Array.<StreamUtils.Thumbnail>} In time order.
+   */
+  static getThumbnails(stream, reference) {
+    const imageWidth = stream.width || 0;
+    const imageHeight = stream.height || 0;
+    const tilesLayout = reference.getTilesLayout() || stream.tilesLayout;
+    const match = /^(\d+)x(\d+)$/.exec(tilesLayout || '');
+    const columns = match ? parseInt(match[1], 10) : 1;
+    const rows = match ? parseInt(match[2], 10) : 1;
+
+    const segmentDuration = reference.trueEndTime - reference.startTime;
+    const tileCount = columns * rows;
+    const tileDuration = reference.getTileDuration() ||
+        segmentDuration / tileCount;
+
+    const thumbnails = [];
+    for (let position = 0; position < tileCount; position++) {
+      const startTime = reference.startTime + position * tileDuration;
+      // The grid covers the whole segment, but the last one of a Period may
+      // be cut short.
+      if (position && startTime >= reference.endTime) {
+        break;
+      }
+
+      /** @type {StreamUtils.Thumbnail} */
+      const thumbnail = {
+        uris: reference.getUris(),
+        imageWidth,
+        imageHeight,
+        column: position % columns,
+        row: Math.floor(position / columns),
+        positionX: (position % columns) * (imageWidth / columns),
+        positionY: Math.floor(position / columns) * (imageHeight / rows),
+        width: imageWidth / columns,
+        height: imageHeight / rows,
+        startTime,
+        duration: Math.min(tileDuration, reference.endTime - startTime),
+        sprite: false,
+      };
+
+      const sprite = reference.getThumbnailSprite();
+      if (sprite) {
+        thumbnail.positionX = sprite.positionX;
+        thumbnail.positionY = sprite.positionY;
+        thumbnail.width = sprite.width;
+        thumbnail.height = sprite.height;
+        thumbnail.sprite = true;
+      }
+      thumbnails.push(thumbnail);
+    }
+    return thumbnails;
+  }
+};
+
+/**
+ * @typedef {{
+ *   representationId: (string|undefined),
+ *   preferredLanguage: (string|undefined),
+ *   role: (string|undefined),
+ *   channels: (number|undefined),
+ *   codecs: (string|undefined),
+ *   minBandwidth: (number|undefined),
+ *   maxBandwidth: (number|undefined),
+ *   kind: (string|undefined)
+ * }}
+ *
+ * @description
+ * What is asked of the video or audio stream of a variant, or of a text
+ * stream.
+ *
+ * @property {(string|undefined)} representationId
+ *   The stream's Representation@id, when it is known.
+ * @property {(string|undefined)} preferredLanguage
+ *   A language tag; the closest language of the manifest is chosen.
+ * @property {(string|undefined)} role
+ *   A Role@value, e.g. "main" or "alternate".
+ * @property {(number|undefined)} channels
+ *   The preferred audio channel count.
+ * @property {(string|undefined)} codecs
+ *   A codecs prefix, e.g. "avc1", "hvc1" or "ec-3".
+ * @property {(number|undefined)} minBandwidth
+ *   Audio only; video bandwidth is part of the restrictions.
+ * @property {(number|undefined)} maxBandwidth
+ *   Audio only; video bandwidth is part of the restrictions.
+ * @property {(string|undefined)} kind
+ *   Text only; "subtitle" or "caption".
+ */
+StreamUtils.Criteria;
+
+/**
+ * @typedef {{
+ *   uris: !Array.<string>,
+ *   imageWidth: number,
+ *   imageHeight: number,
+ *   column: number,
+ *   row: number,
+ *   positionX: number,
+ *   positionY: number,
+ *   width: number,
+ *   height: number,
+ *   startTime: number,
+ *   duration: number,
+ *   sprite: boolean
+ * }}
+ *
+ * @description
+ * One thumbnail: where to crop it from its image, and the time it shows.
+ *
+ * @property {!Array.<string>} uris
+ *   The image the thumbnail is a tile of.
+ * @property {number} imageWidth
+ *   The width of the whole image, in px.
+ * @property {number} imageHeight
+ *   The height of the whole image, in px.
+ * @property {number} column
+ *   The column of the tile in the grid, from 0.
+ * @property {number} row
+ *   The row of the tile in the grid, from 0.
+ * @property {number} positionX
+ *   The left of the tile, in px.
+ * @property {number} positionY
+ *   The top of the tile, in px.
+ * @property {number} width
+ *   The width of the tile, in px.
+ * @property {number} height
+ *   The height of the tile, in px.
+ * @property {number} startTime
+ *   The presentation time the thumbnail starts at, in seconds.
+ * @property {number} duration
+ *   How long the thumbnail shows, in seconds.
+ * @property {boolean} sprite
+ *   True if the position and size come from the segment, not the grid.
+ */
+StreamUtils.Thumbnail;
+
+module.exports = StreamUtils;
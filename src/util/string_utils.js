@@ -213,6 +213,24 @@ class StringUtils {
         return input || '';
     }
 
+    /**
+   * This method converts the characters &, <, >, " and ' in string to their
+   * corresponding HTML entities, the reverse of htmlUnescape().
+   *
+   * @param {!string} input
+   * @return {string}
+   */
+    static htmlEscape(input) {
+        const htmlEscapes = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            '\'': '&apos;',
+        };
+        return String(input).replace(/[&<>"']/g, (c) => htmlEscapes[c]);
+    }
+
     static fromBytesAutoDetect(data) {
         if (!data) {
             return '';
@@ -324,6 +324,77 @@ class xml_utils {
     return parseChildren('');
   }
 
+  /**
+   * Serializes nodes back into XML, the reverse of parse().  Text and
+   * attribute values are kept escaped the way they were parsed, so they are
+   * written as they are; only what could not be, like the contents of a CDATA
+   * section or a quote within an attribute value, is escaped here.
+   *
+   * @param {!shaka.extern.xml.Node | string |
+   *     !Array.<!shaka.extern.xml.Node | string>} nodes
+   * @param {string=} indent If given, elements which only contain elements
+   *   are written one child per line, indented by this string.
+   * @param {string=} prefix The indentation of the current level.
+   * @return {string}
+   */
+  static stringify(nodes, indent, prefix = '') {
+    if (Array.isArray(nodes)) {
+      const separator = indent != null ? '\n' + prefix : '';
+      return nodes.map((node) => {
+        return xml_utils.stringify(node, indent, prefix);
+      }).join(separator);
+    }
+    if (typeof nodes === 'string') {
+      return xml_utils.escapeParsed_(nodes, /* inAttribute= */ false);
+    }
+
+    const node = nodes;
+    let attributes = '';
+    for (const [name, value] of Object.entries(node.attributes)) {
+      attributes += ' ' + name + '="' +
+          xml_utils.escapeParsed_(value || '', /* inAttribute= */ true) + '"';
+    }
+
+    if (node.tagName[0] === '?') {
+      return '<' + node.tagName + attributes + '?>';
+    }
+    if (!node.children.length) {
+      return '<' + node.tagName + attributes + '/>';
+    }
+
+    let contents;
+    if (indent != null && node.children.every((c) => typeof c !== 'string')) {
+      const childPrefix = prefix + indent;
+      contents = '\n' + childPrefix +
+          xml_utils.stringify(node.children, indent, childPrefix) +
+          '\n' + prefix;
+    } else {
+      contents = node.children.map((child) => {
+        return xml_utils.stringify(child);
+      }).join('');
+    }
+    return '<' + node.tagName + attributes + '>' + contents +
+        '</' + node.tagName + '>';
+  }
+
+  /**
+   * Escapes what is left unescaped in parsed text: ampersands which do not
+   * start an entity, angle brackets and, in attribute values, double quotes.
+   *
+   * @param {string} text
+   * @param {boolean} inAttribute
+   * @return {string}
+   * @private
+   */
+  static escapeParsed_(text, inAttribute) {
+    const pattern = inAttribute ?
+        /&(?!(?:[a-zA-Z]+|#[0-9]+|#x[0-9a-fA-F]+);)|[<>"]/g :
+        /&(?!(?:[a-zA-Z]+|#[0-9]+|#x[0-9a-fA-F]+);)|[<>]/g;
+    return text.replace(pattern, (c) => {
+      return {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;'}[c];
+    });
+  }
+
   /**
    * Verifies if the element is a xml_utils node.
    * @param {!shaka.extern.xml.Node} elem The XML element.
@@ -333,6 +404,31 @@ class xml_utils {
     return !!(elem.tagName);
   }
 
+  /**
+   * Copies a node and everything under it.  The copy has no parent.
+   * @param {!shaka.extern.xml.Node} node
+   * @return {!shaka.extern.xml.Node}
+   */
+  static cloneNode(node) {
+    /** @type {shaka.extern.xml.Node} */
+    const clone = {
+      tagName: node.tagName,
+      attributes: Object.assign({}, node.attributes),
+      children: [],
+      parent: null,
+    };
+    for (const child of node.children) {
+      if (typeof child === 'string') {
+        clone.children.push(child);
+      } else {
+        const childClone = xml_utils.cloneNode(child);
+        childClone.parent = clone;
+        clone.children.push(childClone);
+      }
+    }
+    return clone;
+  }
+
   /**
    * Checks if a node is of type text.
    * @param {!shaka.extern.xml.Node | string} elem The XML element.
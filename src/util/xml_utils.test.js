@@ -0,0 +1,58 @@
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const xml_utils = require('./xml_utils');
+
+/**
+ * @param {!Array.<!shaka.extern.xml.Node | string>} nodes
+ * @return {string}
+ */
+function toJson(nodes) {
+  return JSON.stringify(
+      nodes, (key, value) => key == 'parent' ? undefined : value);
+}
+
+describe('xml_utils', () => {
+  describe('stringify', () => {
+    it('writes parsed XML back as it was', () => {
+      const xml = '<?xml version="1.0"?>' +
+          '<a b="1 &amp; 2" c="it&apos;s"><t>x &lt; y &amp; z</t><e/></a>';
+      assert.strictEqual(xml_utils.stringify(xml_utils.parse(xml)), xml);
+    });
+
+    it('escapes CDATA sections and stray ampersands', () => {
+      const nodes = xml_utils.parse(
+          '<a><![CDATA[x<y & "z"]]><b>&#38; &#x26; &amp; </b></a>');
+      const xml = xml_utils.stringify(nodes);
+
+      assert.strictEqual(xml,
+          '<a>x&lt;y &amp; "z"<b>&#38; &#x26; &amp; </b></a>');
+      assert.strictEqual(toJson(xml_utils.parse(xml)), toJson([{
+        tagName: 'a',
+        attributes: {},
+        children: [
+          'x&lt;y &amp; "z"',
+          {tagName: 'b', attributes: {}, children: ['&#38; &#x26; &amp; ']},
+        ],
+      }]));
+    });
+
+    it('escapes quotes and angle brackets of attribute values', () => {
+      const node = xml_utils.parseXmlString('<a/>', 'a');
+      node.attributes['b'] = 'say "<hi>" & go';
+
+      const xml = xml_utils.stringify(node);
+
+      assert.strictEqual(xml, '<a b="say &quot;&lt;hi&gt;&quot; &amp; go"/>');
+      assert.deepStrictEqual(xml_utils.parseXmlString(xml, 'a').attributes,
+          {b: 'say &quot;&lt;hi&gt;&quot; &amp; go'});
+    });
+
+    it('indents elements which only contain elements', () => {
+      const node = xml_utils.parseXmlString(
+          '<a><b><c>text</c></b><d/></a>', 'a');
+      assert.strictEqual(xml_utils.stringify(node, '  '),
+          '<a>\n  <b>\n    <c>text</c>\n  </b>\n  <d/>\n</a>');
+    });
+  });
+});